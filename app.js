@@ -9,6 +9,15 @@ const DEFAULT_AVATAR = "./assets/waterdeep-crest.png";
 const STARTUP_CACHE_BUST = safeWindowValue("VAULT_CACHE_BUST") || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 let currentCacheBust = STARTUP_CACHE_BUST;
 const portraitUrlCache = new Map();
+const VAULT_CIPHER_MAGIC = "WDV1";
+const VAULT_CIPHER_IV_BYTES = 12;
+const PORTRAIT_MIME_TYPES = { webp: "image/webp", png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", avif: "image/avif" };
+// Set by sw.js on data files it had to serve from IndexedDB because the network failed.
+const OFFLINE_RESPONSE_HEADER = "X-Vault-Offline";
+// Shared with sw.js: one record per data file, keyed by its URL without the query string.
+const OFFLINE_DB_NAME = "waterdeep-vault-offline";
+const OFFLINE_DB_STORE = "files";
+let offlineCopyAt = null; // oldest IndexedDB timestamp among the files served offline this load
 
 function safeWindowValue(key) {
   try { return typeof window !== "undefined" ? window[key] : null; } catch { return null; }
@@ -35,23 +44,85 @@ function freshFetchOptions() {
   };
 }
 
-async function clearBrowserCaches() {
-  try { localStorage.clear(); } catch {}
-  try { sessionStorage.clear(); } catch {}
+// AES-GCM key derived by auth.js from the vault password; null when the deployment is not encrypted.
+function vaultDataKey() {
+  return safeWindowValue("VAULT_DATA_KEY") || null;
+}
 
-  try {
-    if ("caches" in window) {
-      const keys = await caches.keys();
-      await Promise.all(keys.map((key) => caches.delete(key)));
-    }
-  } catch {}
+// Files written by tools/encrypt-vault.mjs are MAGIC | IV | ciphertext+tag; anything else passes through as plaintext.
+async function decryptVaultBytes(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const magic = new TextDecoder().decode(bytes.subarray(0, VAULT_CIPHER_MAGIC.length));
+  if (magic !== VAULT_CIPHER_MAGIC) return bytes;
+
+  const key = vaultDataKey();
+  if (!key) throw new Error("This snapshot is encrypted, but the vault key is not available.");
+  const ivStart = VAULT_CIPHER_MAGIC.length;
+  const iv = bytes.subarray(ivStart, ivStart + VAULT_CIPHER_IV_BYTES);
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, bytes.subarray(ivStart + VAULT_CIPHER_IV_BYTES));
+  return new Uint8Array(plain);
+}
+
+// Set by auth.js from the account that unlocked the vault; GM accounts and single-password vaults see everyone.
+function vaultIdentity() {
+  return safeWindowValue("VAULT_IDENTITY") || null;
+}
+
+function identityCanSee(identity, entry) {
+  if (!identity || identity.role === "gm") return true;
+  const file = safeText(typeof entry === "string" ? entry : entry?.file);
+  const fileSlug = slugName(decodeURIComponent(file.split("/").pop() || "").replace(/\.json$/i, ""));
+  const nameSlug = slugName(entry?.name);
+  return (identity.characters || []).some((c) => {
+    const wanted = slugName(c);
+    return wanted && (wanted === nameSlug || wanted === fileSlug);
+  });
+}
+
+function noteOfflineResponse(res) {
+  const storedAt = res?.headers?.get?.(OFFLINE_RESPONSE_HEADER);
+  if (storedAt && (!offlineCopyAt || storedAt < offlineCopyAt)) offlineCopyAt = storedAt;
+}
+
+async function parseVaultJson(buffer) {
+  const bytes = await decryptVaultBytes(buffer);
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function readVaultJson(res) {
+  return parseVaultJson(await res.arrayBuffer());
+}
 
+function offlineRecordKey(file) {
+  const u = new URL(file, window.location.href);
+  u.search = "";
+  return u.toString();
+}
+
+// Resolves to null rather than failing wherever IndexedDB is missing or blocked (private windows, file://).
+async function withOfflineStore(mode, run) {
+  if (typeof indexedDB === "undefined") return null;
   try {
-    if (navigator.serviceWorker?.getRegistrations) {
-      const registrations = await navigator.serviceWorker.getRegistrations();
-      await Promise.all(registrations.map((registration) => registration.unregister()));
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_DB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(OFFLINE_DB_STORE, mode);
+        const request = run(tx.objectStore(OFFLINE_DB_STORE));
+        tx.oncomplete = () => resolve(request.result ?? null);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
     }
-  } catch {}
+  } catch (e) {
+    console.warn("Offline store unavailable", e);
+    return null;
+  }
 }
 
 const $ = (sel) => document.querySelector(sel);
@@ -60,12 +131,24 @@ const rosterEl = $("#roster");
 const sheetEl = $("#sheet");
 const statusEl = $("#status");
 const searchEl = $("#search");
+const searchResultsEl = $("#searchResults");
 const lastSyncedEl = $("#lastSynced");
 
 const refreshBtn = $("#refresh");
+const partyOverviewBtn = $("#partyOverview");
+const partyTreasuryBtn = $("#partyTreasury");
+const compareBtn = $("#compare");
 
-let allPayloads = [];  // [{id, name, meta, payload, corpus}]
+let allPayloads = [];  // [{id, name, meta, payload, corpus}]; payload stays null until the snapshot is fetched
 let selectedId = null;
+let compareIds = null; // Set of roster ids picked in the Compare view
+let sheetRequest = 0;  // bumped on every sheet or view change, so a slow fetch never paints over a newer choice
+let searchLoad = null; // pending fetch of the remaining snapshots for a full-text search
+let vaultStatus = "";  // status line from the last (re)load, restored after on-demand fetches
+let localPreviewCount = 0; // gives each dropped file its own roster id
+const EXPORT_BUNDLE_FORMAT = "waterdeep-vault-bundle"; // written by foundry-macro-export.js
+// Export schema versions this viewer was written against; must match tools/build-manifest.mjs.
+const SUPPORTED_SCHEMA_VERSIONS = new Set([1]);
 
 // ----------------------------
 // small utils
@@ -80,17 +163,22 @@ function escapeHtml(s) {
     .replace(/'/g, "&#39;");
 }
 function norm(s) { return safeText(s).toLowerCase().trim(); }
-function formatSyncTime(iso) {
-  if (!iso) return "Last synced from Foundry";
-  const d = new Date(iso);
-  if (Number.isNaN(d.getTime())) return "Last synced from Foundry";
-  return `Last synced from Foundry ${d.toLocaleString(undefined, {
+// "" for a missing or unreadable time, so callers can supply their own wording.
+function formatExportTime(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, {
     year: "numeric",
     month: "short",
     day: "numeric",
     hour: "numeric",
     minute: "2-digit"
-  })}`;
+  });
+}
+
+function formatSyncTime(iso) {
+  const when = formatExportTime(iso);
+  return when ? `Last synced from Foundry ${when}` : "Last synced from Foundry";
 }
 
 function updateLastSynced(payloads) {
@@ -99,7 +187,12 @@ function updateLastSynced(payloads) {
     .filter(Boolean)
     .sort()
     .at(-1);
-  if (lastSyncedEl) lastSyncedEl.textContent = formatSyncTime(latest);
+  if (!lastSyncedEl) return;
+  lastSyncedEl.textContent = formatSyncTime(latest);
+  if (offlineCopyAt) {
+    const saved = new Date(offlineCopyAt).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+    lastSyncedEl.textContent += ` • Offline copy saved ${saved}`;
+  }
 }
 
 function clamp(n, a, b) { return Math.max(a, Math.min(b, n)); }
@@ -147,10 +240,18 @@ function guessSystem(payload) {
   return payload?.systemId || payload?.actor?.system?.id || payload?.actor?.systemId || "unknown";
 }
 
+// Versioned exports always carry the actor at payload.actor; the other shapes predate the schema.
 function actorFromPayload(payload) {
+  if (payload?.schemaVersion !== undefined) return payload.actor;
   return payload?.actor || payload?.data?.actor || payload?.document || payload;
 }
 
+// Unversioned snapshots predate the schema and are read as before; only a version we don't know is flagged.
+function unknownSchemaVersion(payload) {
+  if (payload?.schemaVersion === undefined) return null;
+  return SUPPORTED_SCHEMA_VERSIONS.has(payload.schemaVersion) ? null : safeText(payload.schemaVersion);
+}
+
 const CRIT_COIN_ITEM_NAME = "crit coin";
 
 function actorHasInspiration(actor) {
@@ -281,6 +382,19 @@ function canLoadImage(url) {
   });
 }
 
+// Encrypted portraits cannot be probed with an <img>, so fetch, decrypt and hand back a blob URL.
+// A URL versioned by the snapshot hash may come from the browser cache; a probe must not.
+async function loadEncryptedImage(url, ext, token) {
+  try {
+    const res = await fetch(cacheBustUrl(url, token), token ? {} : freshFetchOptions());
+    if (!res.ok) return null;
+    const bytes = await decryptVaultBytes(await res.arrayBuffer());
+    return URL.createObjectURL(new Blob([bytes], { type: PORTRAIT_MIME_TYPES[ext] || "application/octet-stream" }));
+  } catch {
+    return null;
+  }
+}
+
 async function resolveLocalPortrait(actorName) {
   const key = safeText(actorName).trim();
   if (!key) return null;
@@ -290,6 +404,15 @@ async function resolveLocalPortrait(actorName) {
     const encBase = encodeURIComponent(base);
     for (const ext of LOCAL_PORTRAIT_EXTS) {
       const url = `${LOCAL_PORTRAIT_DIR}/${encBase}.${ext}`;
+      if (vaultDataKey()) {
+        // eslint-disable-next-line no-await-in-loop
+        const blobUrl = await loadEncryptedImage(url, ext);
+        if (blobUrl) {
+          portraitUrlCache.set(key, blobUrl);
+          return blobUrl;
+        }
+        continue;
+      }
       // eslint-disable-next-line no-await-in-loop
       if (await canLoadImage(url)) {
         portraitUrlCache.set(key, url);
@@ -302,6 +425,25 @@ async function resolveLocalPortrait(actorName) {
   return null;
 }
 
+// Manifest portraits are cached per snapshot hash, so Refresh Data only fetches the portraits of changed exports.
+function entryPortraitKey(item) {
+  return `${safeText(item.name).trim()}|${item.hash || ""}`;
+}
+
+// The manifest names the portrait file, so nothing needs probing; manifests from before that still probe.
+// The snapshot hash versions the URL, so a new export shows its new portrait rather than a cached one.
+async function resolveEntryPortrait(item) {
+  if (!("portrait" in item)) return resolveLocalPortrait(item.name);
+  if (!safeText(item.name).trim() || !item.portrait) return null;
+  const key = entryPortraitKey(item);
+  if (portraitUrlCache.has(key)) return portraitUrlCache.get(key);
+  const ext = item.portrait.split(".").pop().toLowerCase();
+  const token = item.hash || undefined;
+  const url = vaultDataKey() ? await loadEncryptedImage(item.portrait, ext, token) : cacheBustUrl(item.portrait, token);
+  portraitUrlCache.set(key, url);
+  return url;
+}
+
 function actorImageUrl(payload, actor) {
   return payload?.__portrait || actor?.img || cacheBustUrl(DEFAULT_AVATAR);
 }
@@ -343,6 +485,10 @@ function section(title, bodyNode, sectionId = "") {
   return wrap;
 }
 
+function sheetAnchorPrefix(actor) {
+  return makeAnchorId(`sheet-${safeText(actor?._id || actor?.name || "actor")}`, "root");
+}
+
 function makeAnchorId(prefix, label) {
   const base = safeText(label).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
   return `${prefix}-${base || "section"}`;
@@ -382,6 +528,7 @@ function quickAccessNav(items) {
       const target = document.getElementById(it.id);
       if (target) target.scrollIntoView({ behavior: "smooth", block: "start" });
       setExpanded(false);
+      writeRoute({ section: sectionRouteSlug(it.id), item: "" });
     });
     list.appendChild(btn);
   }
@@ -499,6 +646,7 @@ function listCards(items, subtitleFn, options = {}) {
   for (const it of items) {
     const card = document.createElement("div");
     const title = safeText(it?.name || "Unnamed");
+    card.dataset.cardKey = safeText(it?._id || title);
     const sub = subtitleFn ? subtitleFn(it) : "";
     const hasDescriptionField = Boolean(it?.system) && Object.prototype.hasOwnProperty.call(it.system, "description");
     const descriptionFn = explicitDescriptionFn || (hasDescriptionField ? itemDescriptionHtml : null);
@@ -556,6 +704,7 @@ function listCards(items, subtitleFn, options = {}) {
       open = !open;
       body.style.display = open ? "block" : "none";
       if (state) state.textContent = open ? "Hide" : "Show";
+      noteExpandedCardRoute(card, open);
     });
 
     card.appendChild(header);
@@ -698,6 +847,55 @@ function actorFormulaContext(actor) {
     ctx[`@abilities.${k}.value`] = Number(bundle?.abilities?.[k]?.score ?? 0);
     ctx[`@abilities.${k}.mod`] = Number(bundle?.abilities?.[k]?.mod ?? 0);
   }
+  return { ...classFormulaContext(actor), ...ctx };
+}
+
+const classFormulaContextCache = new WeakMap();
+
+function scaleValueAtLevel(scale, level) {
+  let best = null;
+  for (const key of Object.keys(scale || {})) {
+    const lvl = Number(key);
+    if (Number.isFinite(lvl) && lvl <= level && (!best || lvl > best.lvl)) best = { lvl, value: scale[key] };
+  }
+  return best?.value ?? null;
+}
+
+// @classes.<id>.levels and numeric @scale.<id>.<scale> tokens from class/subclass advancement.
+function classFormulaContext(actor) {
+  if (actor && classFormulaContextCache.has(actor)) return classFormulaContextCache.get(actor);
+
+  const ctx = {};
+  const items = actor?.items || [];
+  const classLevels = {};
+  for (const c of items.filter((i) => i?.type === "class")) {
+    const id = norm(c?.system?.identifier || slugName(c?.name));
+    const levels = Math.max(0, Number(tryNum(c?.system?.levels) ?? 0));
+    if (!id) continue;
+    classLevels[id] = levels;
+    ctx[`@classes.${id}.levels`] = levels;
+  }
+
+  for (const it of items.filter((i) => i?.type === "class" || i?.type === "subclass")) {
+    const id = norm(it?.system?.identifier || slugName(it?.name));
+    const level = it.type === "class" ? classLevels[id] : classLevels[norm(it?.system?.classIdentifier)];
+    if (!id || !Number.isFinite(level)) continue;
+
+    const advancement = it?.system?.advancement || {};
+    for (const adv of Array.isArray(advancement) ? advancement : Object.values(advancement)) {
+      if (adv?.type !== "ScaleValue") continue;
+      const scaleId = safeText(adv?.configuration?.identifier).trim();
+      const value = scaleValueAtLevel(adv?.configuration?.scale, level);
+      if (!scaleId || !value) continue;
+      const base = `@scale.${id}.${scaleId}`;
+      const direct = tryNum(value?.value);
+      if (Number.isFinite(direct)) ctx[base] = direct;
+      if (Number.isFinite(tryNum(value?.number))) ctx[`${base}.number`] = tryNum(value.number);
+      if (Number.isFinite(tryNum(value?.faces))) ctx[`${base}.faces`] = tryNum(value.faces);
+    }
+  }
+
+  if (actor) classFormulaContextCache.set(actor, ctx);
   return ctx;
 }
 
@@ -1562,6 +1760,151 @@ function renderLanguagesBlock(actor) {
   return wrap;
 }
 
+const DAMAGE_TYPE_LABELS = {
+  acid: "Acid", bludgeoning: "Bludgeoning", cold: "Cold", fire: "Fire", force: "Force",
+  lightning: "Lightning", necrotic: "Necrotic", piercing: "Piercing", poison: "Poison",
+  psychic: "Psychic", radiant: "Radiant", slashing: "Slashing", thunder: "Thunder"
+};
+const CONDITION_LABELS = {
+  blinded: "Blinded", charmed: "Charmed", deafened: "Deafened", diseased: "Diseased",
+  exhaustion: "Exhaustion", frightened: "Frightened", grappled: "Grappled", incapacitated: "Incapacitated",
+  invisible: "Invisible", paralyzed: "Paralyzed", petrified: "Petrified", poisoned: "Poisoned",
+  prone: "Prone", restrained: "Restrained", stunned: "Stunned", unconscious: "Unconscious"
+};
+const BYPASS_LABELS = { mgc: "magical", ada: "adamantine", sil: "silvered" };
+const WEAPON_PROF_LABELS = {
+  sim: "Simple Weapons", mar: "Martial Weapons",
+  handcrossbow: "Hand Crossbow", heavycrossbow: "Heavy Crossbow", lightcrossbow: "Light Crossbow",
+  lighthammer: "Light Hammer", warhammer: "Warhammer", battleaxe: "Battleaxe", greataxe: "Greataxe",
+  handaxe: "Handaxe", longbow: "Longbow", shortbow: "Shortbow", longsword: "Longsword",
+  shortsword: "Shortsword", greatsword: "Greatsword", greatclub: "Greatclub",
+  morningstar: "Morningstar", quarterstaff: "Quarterstaff", warpick: "War Pick"
+};
+const ARMOR_PROF_LABELS = { lgt: "Light Armour", med: "Medium Armour", hvy: "Heavy Armour", shl: "Shields" };
+const TOOL_LABELS = {
+  alchemist: "Alchemist's Supplies", brewer: "Brewer's Supplies", calligrapher: "Calligrapher's Supplies",
+  carpenter: "Carpenter's Tools", cartographer: "Cartographer's Tools", cobbler: "Cobbler's Tools",
+  cook: "Cook's Utensils", glassblower: "Glassblower's Tools", jeweler: "Jeweler's Tools",
+  leatherworker: "Leatherworker's Tools", mason: "Mason's Tools", painter: "Painter's Supplies",
+  potter: "Potter's Tools", smith: "Smith's Tools", tinker: "Tinker's Tools", weaver: "Weaver's Tools",
+  woodcarver: "Woodcarver's Tools", disg: "Disguise Kit", forg: "Forgery Kit", herb: "Herbalism Kit",
+  navg: "Navigator's Tools", pois: "Poisoner's Kit", thief: "Thieves' Tools", vehicle: "Vehicles"
+};
+
+function traitLabel(raw, labels) {
+  const key = normaliseTagToken(raw);
+  if (!key) return "";
+  if (labels?.[key]) return labels[key];
+  const tail = key.split(":").pop();
+  if (labels?.[tail]) return labels[tail];
+  return titleCaseWords(tail.replace(/-/g, " "));
+}
+
+function traitKeysFrom(raw) {
+  if (Array.isArray(raw)) return raw.map((x) => safeText(x).trim()).filter(Boolean);
+  if (raw && typeof raw === "object") return Object.keys(raw).filter((k) => raw[k]);
+  return safeText(raw).split(/[,;]+/).map((x) => x.trim()).filter(Boolean);
+}
+
+// Resolves a system.traits.<key> block (value/custom/bypasses) with active-effect changes layered on top.
+function collectTraitSet(actor, traitKey, labels) {
+  const trait = actor?.system?.traits?.[traitKey] || {};
+  let values = traitKeysFrom(trait?.value);
+  let custom = safeText(trait?.custom).split(/[,\n;]+/).map((x) => x.trim()).filter(Boolean);
+  let bypasses = traitKeysFrom(trait?.bypasses);
+
+  const merge = (current, raw, mode) => {
+    const next = traitKeysFrom(raw);
+    if (mode === MODE_CUSTOM || mode === MODE_OVERRIDE) return next;
+    if (mode === MODE_ADD || mode === MODE_UPGRADE) return [...current, ...next];
+    return current;
+  };
+
+  const prefix = `system.traits.${traitKey.toLowerCase()}.`;
+  const effects = getAllEffects(actor);
+  for (const ef of effects) {
+    const changes = ef?.changes || [];
+    for (const ch of changes) {
+      const key = safeText(ch?.key).toLowerCase();
+      if (!key.startsWith(prefix)) continue;
+      const field = key.slice(prefix.length);
+      const mode = Number(ch?.mode ?? MODE_CUSTOM);
+      if (field === "value") values = merge(values, ch?.value, mode);
+      else if (field === "custom") custom = merge(custom, ch?.value, mode);
+      else if (field === "bypasses") bypasses = merge(bypasses, ch?.value, mode);
+    }
+  }
+
+  const out = [];
+  const seen = new Set();
+  const add = (label) => {
+    const k = norm(label);
+    if (!k || seen.has(k)) return;
+    seen.add(k);
+    out.push(label);
+  };
+  values.forEach((v) => add(traitLabel(v, labels)));
+  custom.forEach(add);
+
+  return {
+    values: out,
+    bypasses: [...new Set(bypasses.map((b) => BYPASS_LABELS[norm(b)] || norm(b)).filter(Boolean))]
+  };
+}
+
+function collectToolProficiencies(actor) {
+  const out = [];
+  const tools = actor?.system?.tools || {};
+  for (const key of Object.keys(tools)) {
+    if (proficiencyMultiplier(tools?.[key]?.value) <= 0) continue;
+    out.push(safeText(tools[key]?.label).trim() || traitLabel(key, TOOL_LABELS));
+  }
+  const legacy = collectTraitSet(actor, "toolProf", TOOL_LABELS).values;
+  return [...new Set([...out, ...legacy])];
+}
+
+function collectDefences(actor) {
+  return {
+    dr: collectTraitSet(actor, "dr", DAMAGE_TYPE_LABELS),
+    di: collectTraitSet(actor, "di", DAMAGE_TYPE_LABELS),
+    dv: collectTraitSet(actor, "dv", DAMAGE_TYPE_LABELS),
+    ci: collectTraitSet(actor, "ci", CONDITION_LABELS),
+    weaponProf: collectTraitSet(actor, "weaponProf", WEAPON_PROF_LABELS),
+    armorProf: collectTraitSet(actor, "armorProf", ARMOR_PROF_LABELS),
+    toolProf: collectToolProficiencies(actor)
+  };
+}
+
+function traitSetText(set) {
+  if (!set?.values?.length) return "—";
+  const text = set.values.join(", ");
+  if (!set.bypasses?.length) return text;
+  return `${text} (except from ${set.bypasses.join(" or ")} attacks)`;
+}
+
+function renderDefencesBlock(actor) {
+  const d = collectDefences(actor);
+  const rows = [
+    ["Resistances", traitSetText(d.dr)],
+    ["Immunities", traitSetText(d.di)],
+    ["Vulnerabilities", traitSetText(d.dv)],
+    ["Condition Immunities", traitSetText(d.ci)],
+    ["Weapon Proficiencies", traitSetText(d.weaponProf)],
+    ["Armour Proficiencies", traitSetText(d.armorProf)],
+    ["Tool Proficiencies", d.toolProf.length ? d.toolProf.join(", ") : "—"]
+  ];
+
+  const grid = document.createElement("div");
+  grid.className = "grid grid-cols-1 md:grid-cols-2 gap-2";
+  for (const [label, text] of rows) {
+    const card = document.createElement("div");
+    card.className = "rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+    card.innerHTML = `<div class="text-xs text-slate-400">${escapeHtml(label)}</div><div class="mt-1 text-sm">${escapeHtml(text)}</div>`;
+    grid.appendChild(card);
+  }
+  return grid;
+}
+
 function renderSkillsSection(actor) {
   const wrap = document.createElement("div");
   wrap.className = "space-y-2";
@@ -2001,6 +2344,17 @@ function defaultMeta(actor) {
   return { line1: actor?.type || "Actor", line2: "Snapshot" };
 }
 
+// The roster line from a manifest entry's precomputed summary, until the snapshot itself is loaded.
+function summaryMeta(item) {
+  const summary = item?.summary;
+  if (!summary) return defaultMeta(item);
+  const hp = summary.hp || {};
+  return {
+    line1: [summary.classes || "Character", summary.level ? `Lv ${summary.level}` : ""].filter(Boolean).join(" • "),
+    line2: [`AC ${summary.ac ?? "–"}`, `HP ${hp.value ?? "–"}/${hp.max ?? "–"}`].join("  ·  ")
+  };
+}
+
 function getMeta(payload) {
   const actor = actorFromPayload(payload);
   const sysId = guessSystem(payload);
@@ -2029,6 +2383,47 @@ function extractSearchCorpus(payload) {
   return norm(bits.filter(Boolean).join(" "));
 }
 
+// Structured records behind the global search results panel; section matches the sheet section label.
+function buildSearchIndex(payload) {
+  const actor = actorFromPayload(payload);
+  const records = [];
+  const add = (sectionLabel, key, title, html) => {
+    const text = htmlTextContent(html);
+    if (!safeText(title).trim() && !text) return;
+    records.push({ section: sectionLabel, key, title: safeText(title), text });
+  };
+
+  for (const it of actor?.items || []) {
+    let sectionLabel = "";
+    if (it?.type === "spell") sectionLabel = "Spells";
+    else if (it?.type === "feat") sectionLabel = "Features";
+    else if (GEAR_ITEM_TYPES.has(it?.type)) sectionLabel = "Inventory";
+    if (!sectionLabel) continue;
+    add(sectionLabel, safeText(it?._id || it?.name), it?.name, normaliseDescriptionMarkup(itemDescriptionHtml(it)));
+  }
+
+  if (guessSystem(payload) === "dnd5e") {
+    for (const e of collectDisplayEffects(actor)) add("Active Effects", e.name, e.name, escapeHtml(e.meta));
+  }
+
+  const details = actor?.system?.details || {};
+  const bio = typeof details?.biography === "string" ? details.biography : details?.biography?.value;
+  if (htmlTextContent(bio)) add("Story", "", "Biography", normaliseDescriptionMarkup(bio));
+  for (const [k, label] of [...STORY_PERSONALITY_FIELDS, ["appearance", "Appearance"]]) {
+    if (safeText(details?.[k]).trim()) add("Story", "", label, escapeHtml(details[k]));
+  }
+
+  return records;
+}
+
+function searchSnippetHtml(text, q, radius = 60) {
+  const at = norm(text).indexOf(q);
+  if (at < 0) return escapeHtml(text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text);
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + q.length + radius);
+  return `${start > 0 ? "…" : ""}${escapeHtml(text.slice(start, at))}<mark class="bg-amber-300/30 text-amber-100 rounded px-0.5">${escapeHtml(text.slice(at, at + q.length))}</mark>${escapeHtml(text.slice(at + q.length, end))}${end < text.length ? "…" : ""}`;
+}
+
 function rosterItem(entry) {
   const payload = entry.payload;
   const actor = actorFromPayload(payload);
@@ -2037,13 +2432,28 @@ function rosterItem(entry) {
   const node = tpl.content.firstElementChild.cloneNode(true);
 
   node.dataset.id = entry.id;
-  node.querySelector("img").src = actorImageUrl(payload, actor);
-  node.querySelector(".name").textContent = actor?.name || "Unnamed";
-  node.querySelector(".meta").textContent = entry.meta.line1;
+  node.querySelector("img").src = payload ? actorImageUrl(payload, actor) : entry.portrait || cacheBustUrl(DEFAULT_AVATAR);
+  node.querySelector(".name").textContent = actor?.name || entry.name || "Unnamed";
+  node.querySelector(".meta").textContent = entry.loadError ? `Could not load: ${entry.loadError}` : entry.meta.line1;
   if (entry.id === selectedId) {
     node.classList.add("is-selected", "bg-white/10");
   }
 
+  if (entry.localPreview) node.classList.add("is-local-preview");
+  if (entry.loadError) {
+    node.classList.add("roster-error");
+    node.title = `${entry.file}: select to try again`;
+  }
+
+  const schemaVersion = unknownSchemaVersion(payload || entry);
+  if (schemaVersion) {
+    const badge = document.createElement("span");
+    badge.className = "schema-badge ml-2 rounded-full border border-amber-300/50 bg-amber-400/10 px-1.5 text-[10px] text-amber-200";
+    badge.textContent = `schema ${schemaVersion}`;
+    badge.title = "Exported with a newer or unrecognised schema; some details may be missing or wrong.";
+    node.querySelector(".name").appendChild(badge);
+  }
+
   node.addEventListener("click", () => selectActor(node.dataset.id));
   return node;
 }
@@ -2469,132 +2879,733 @@ function spellSaveDC(actor) {
   return spellSaveDCInfo(actor).value;
 }
 
-function renderInventoryWithSearch(gear) {
-  const wrap = document.createElement("div");
-  wrap.className = "space-y-3";
+// ----------------------------
+// dnd5e attacks
+// ----------------------------
+const ATTACK_BONUS_KEYS = ["mwak", "rwak", "msak", "rsak"];
+const ATTACK_TYPE_LABELS = {
+  mwak: "Melee Weapon",
+  rwak: "Ranged Weapon",
+  msak: "Melee Spell",
+  rsak: "Ranged Spell"
+};
 
-  const controls = document.createElement("div");
-  controls.className = "flex flex-col md:flex-row md:items-center gap-2";
-  controls.innerHTML = `
-    <input class="w-full md:w-96 rounded-2xl bg-white/5 border border-white/10 px-4 py-2 outline-none focus:ring-2 focus:ring-indigo-400/40"
-           placeholder="Search this inventory…" />
-    <div class="text-xs text-slate-400 md:ml-auto" id="count"></div>
-  `;
-  wrap.appendChild(controls);
+// Bonus fields may hold plain numbers, @formulas or dice ("+1d4"); dice are kept as text terms.
+function splitBonusFormula(actor, raw, extraCtx = {}) {
+  const text = safeText(raw).trim();
+  if (!text) return { flat: 0, terms: [] };
+  const resolved = substituteFormulaTokens(text, { ...actorFormulaContext(actor), ...extraCtx });
+  const val = tryNum(resolved) ?? evalFormula(resolved, {});
+  if (Number.isFinite(val)) return { flat: val, terms: [] };
+  return { flat: 0, terms: [resolved.replace(/^\+\s*/, "")] };
+}
 
-  const input = controls.querySelector("input");
-  const count = controls.querySelector("#count");
+function applyBonusEffectMode(current, next, mode) {
+  if (mode === MODE_CUSTOM || mode === MODE_OVERRIDE) return { flat: next.flat, terms: [...next.terms] };
+  if (mode === MODE_ADD) return { flat: current.flat + next.flat, terms: [...current.terms, ...next.terms] };
+  return { flat: applyNumericEffectMode(current.flat, next.flat, mode), terms: current.terms };
+}
 
-  const listWrap = document.createElement("div");
-  wrap.appendChild(listWrap);
+const attackBonusCache = new WeakMap();
 
-  const render = () => {
-    const q = norm(input.value);
-    const filtered = !q ? gear : gear.filter(g => norm(g?.name).includes(q));
-    count.textContent = `${filtered.length} item(s)`;
-    listWrap.innerHTML = "";
-    listWrap.appendChild(listCards(filtered, (g) => {
-      const qty = tryNum(g?.system?.quantity) ?? 1;
-      const eq = g?.system?.equipped ? "equipped" : "";
-      const att = itemRequiresAttunement(g)
-        ? (itemIsAttuned(g) ? "attuned" : "requires attunement")
-        : "";
-      return [`qty ${qty}`, eq, att].filter(Boolean).join(" • ");
-    }, {
-      descriptionFn: itemDescriptionHtml,
-      headerBadgeFn: (g) => (itemRequiresAttunement(g) ? attunementRequiredBadgeHtml() : "")
-    }));
-  };
+function collectAttackBonuses(actor) {
+  if (actor && attackBonusCache.has(actor)) return attackBonusCache.get(actor);
 
-  input.addEventListener("input", render);
-  render();
+  const bonuses = actor?.system?.bonuses || {};
+  const out = {};
+  for (const k of ATTACK_BONUS_KEYS) {
+    out[k] = {
+      attack: splitBonusFormula(actor, bonuses?.[k]?.attack),
+      damage: splitBonusFormula(actor, bonuses?.[k]?.damage)
+    };
+  }
 
-  return wrap;
+  const effects = getAllEffects(actor);
+  for (const ef of effects) {
+    const changes = ef?.changes || [];
+    for (const ch of changes) {
+      const key = safeText(ch?.key).toLowerCase();
+      const m = key.match(/^system\.bonuses\.(mwak|rwak|msak|rsak)\.(attack|damage)$/);
+      if (!m) continue;
+      const mode = Number(ch?.mode ?? MODE_CUSTOM);
+      out[m[1]][m[2]] = applyBonusEffectMode(out[m[1]][m[2]], splitBonusFormula(actor, ch?.value), mode);
+    }
+  }
+
+  if (actor) attackBonusCache.set(actor, out);
+  return out;
 }
 
-function renderSpellsWithFilter(spells) {
-  const wrap = document.createElement("div");
-  wrap.className = "space-y-3";
+function weaponIsRanged(item, activity) {
+  const activityType = norm(activity?.attack?.type?.value);
+  if (activityType === "ranged") return true;
+  if (activityType === "melee") return false;
+  return /r$/i.test(safeText(item?.system?.type?.value));
+}
 
-  const controls = document.createElement("div");
-  controls.className = "flex flex-col md:flex-row md:items-center gap-2";
-  controls.innerHTML = `
-    <div class="text-xs text-slate-400">Filter:</div>
-    <select data-role="prep" class="w-full md:w-64 rounded-2xl bg-white/5 border border-white/10 px-3 py-2 text-slate-100 outline-none focus:ring-2 focus:ring-indigo-400/40" style="color-scheme: dark;">
-      <option value="all">All spells</option>
-      <option value="prepared">Prepared (incl. always)</option>
-      <option value="always">Always prepared</option>
-      <option value="not">Not prepared</option>
-    </select>
-    <select data-role="level" class="w-full md:w-56 rounded-2xl bg-white/5 border border-white/10 px-3 py-2 text-slate-100 outline-none focus:ring-2 focus:ring-indigo-400/40" style="color-scheme: dark;">
-      <option value="all">All levels</option>
-      <option value="0">Cantrip</option>
-      <option value="1">Level 1</option>
-      <option value="2">Level 2</option>
-      <option value="3">Level 3</option>
-      <option value="4">Level 4</option>
-      <option value="5">Level 5</option>
-      <option value="6">Level 6</option>
-      <option value="7">Level 7</option>
-      <option value="8">Level 8</option>
-      <option value="9">Level 9</option>
-    </select>
-    <div class="text-xs text-slate-400 md:ml-auto" id="count"></div>
-  `;
-  wrap.appendChild(controls);
+function weaponIsProficient(actor, item) {
+  const explicit = tryNum(item?.system?.proficient);
+  if (Number.isFinite(explicit)) return explicit > 0;
 
-  const prepSel = controls.querySelector("select[data-role='prep']");
-  const levelSel = controls.querySelector("select[data-role='level']");
-  const count = controls.querySelector("#count");
-  // Keep native option list readable on systems that ignore class styling for option popups.
-  controls.querySelectorAll("option").forEach((opt) => {
-    opt.style.color = "#0f172a";
-    opt.style.backgroundColor = "#e2e8f0";
-  });
+  const type = safeText(item?.system?.type?.value);
+  if (type === "natural") return true;
 
-  const listWrap = document.createElement("div");
-  wrap.appendChild(listWrap);
+  const profs = actor?.system?.traits?.weaponProf?.value || [];
+  const list = (Array.isArray(profs) ? profs : Object.keys(profs).filter((k) => profs[k])).map(norm);
+  const baseItem = norm(item?.system?.type?.baseItem);
+  if (baseItem && list.includes(baseItem)) return true;
+  if (type.startsWith("simple") && list.includes("sim")) return true;
+  if (type.startsWith("martial") && list.includes("mar")) return true;
+  return false;
+}
 
-  const render = () => {
-    const mode = prepSel.value;
-    const levelMode = levelSel.value;
+function spellcastingAbilityFor(actor, spell) {
+  const direct = norm(spell?.system?.ability);
+  if (SAVE_KEYS.includes(direct)) return direct;
 
-    const filtered = spells.filter(s => {
-      const p = tryNum(s?.system?.prepared) ?? 0;
-      if (mode === "prepared" && !(p === 1 || p === 2)) return false;
-      if (mode === "always" && p !== 2) return false;
-      if (mode === "not" && p !== 0) return false;
+  const sourceClass = norm(spell?.system?.sourceClass);
+  if (sourceClass) {
+    const cls = (actor?.items || []).find((i) => i?.type === "class" && norm(i?.system?.identifier) === sourceClass);
+    const fromClass = norm(cls?.system?.spellcasting?.ability);
+    if (SAVE_KEYS.includes(fromClass)) return fromClass;
+  }
 
-      if (levelMode !== "all") {
-        const want = Number(levelMode);
-        if (spellLevelNumber(s) !== want) return false;
-      }
-      return true;
-    });
+  const fromActor = norm(actor?.system?.attributes?.spellcasting);
+  return SAVE_KEYS.includes(fromActor) ? fromActor : "";
+}
 
-    count.textContent = `${filtered.length} spell(s)`;
+function attackAbilityKey(actor, item, activity, ranged) {
+  const raw = norm(activity?.attack?.ability);
+  if (raw === "none") return "";
+  if (SAVE_KEYS.includes(raw)) return raw;
+  if (item?.type === "spell" || raw === "spellcasting") return spellcastingAbilityFor(actor, item);
 
-    listWrap.innerHTML = "";
-    listWrap.appendChild(listCards(filtered, (s) => {
-      const lvl = spellLevelNumber(s);
-      const school = s?.system?.school;
-      const tag = spellPreparedTag(s);
-      return [lvl === 0 ? "Cantrip" : `Level ${lvl}`, school, tag].filter(Boolean).join(" • ");
-    }, {
-      headerBadgeFn: (s) => (spellRequiresConcentration(s) ? concentrationBadgeHtml() : ""),
-      descriptionMetaFn: spellDescriptionMetaHtml
-    }));
-  };
+  const abilities = getEffectiveAbilities(actor);
+  const props = Array.isArray(item?.system?.properties) ? item.system.properties.map(norm) : [];
+  if (props.includes("fin")) return abilities.dex.mod >= abilities.str.mod ? "dex" : "str";
+  return ranged ? "dex" : "str";
+}
 
-  prepSel.addEventListener("change", render);
-  levelSel.addEventListener("change", render);
-  render();
+function substituteFormulaTokens(formula, ctx) {
+  return safeText(formula).replace(/@[A-Za-z0-9_.]+/g, (m) => {
+    const v = ctx?.[m] ?? ctx?.[m.toLowerCase()];
+    return v !== undefined && Number.isFinite(Number(v)) ? String(v) : m;
+  });
+}
 
-  return wrap;
+// Roll modifiers such as exploding (1d8x@mod=8), keep-highest or reroll mean nothing on a static sheet,
+// so a custom formula shows only its dice.
+function stripDiceModifiers(formula) {
+  return safeText(formula).replace(/(\d*d\d+)[a-z@.<>=!\d]*/gi, "$1");
 }
 
-const SPELL_SLOT_TABLE = {
-  1: [2,0,0,0,0,0,0,0,0],
+function damagePartDice(part) {
+  if (part?.custom?.enabled) return stripDiceModifiers(part?.custom?.formula).trim();
+  const number = tryNum(part?.number);
+  const denomination = tryNum(part?.denomination);
+  if (Number.isFinite(number) && Number.isFinite(denomination) && number > 0 && denomination > 0) {
+    return `${number}d${denomination}`;
+  }
+  return "";
+}
+
+function damageTypesText(types) {
+  const list = Array.isArray(types) ? types : Object.keys(types || {}).filter((k) => types[k]);
+  return list
+    .map((t) => safeText(t).trim())
+    .filter((t) => t && norm(t) !== "none")
+    .map((t) => titleCaseWords(t.replace(/[-_]+/g, " ")))
+    .join("/");
+}
+
+function formatDamageTerms(dice, flat) {
+  const bits = dice.filter(Boolean);
+  const n = Math.round(Number(flat) || 0);
+  if (!bits.length) return `${n}`;
+  if (n !== 0) bits.push(`${n > 0 ? "+" : "−"} ${Math.abs(n)}`);
+  return bits.join(" ");
+}
+
+// A thrown melee weapon keeps its reach; the thrown distance comes from the item, since the melee
+// activity's own range is usually just "Any".
+function thrownMeleeRangeText(item) {
+  const range = item?.system?.range || {};
+  const reachFt = feetValue(range?.reach, range?.units);
+  const reach = Number.isFinite(reachFt) && reachFt > 0 ? `${formatDecimal(reachFt)} feet reach` : "5 feet";
+  const ft = feetValue(range?.value, range?.units);
+  if (!Number.isFinite(ft) || ft <= 0) return reach;
+  const longFt = feetValue(range?.long, range?.units);
+  const thrown = Number.isFinite(longFt) && longFt > ft ? `${formatDecimal(ft)}/${formatDecimal(longFt)}` : formatDecimal(ft);
+  return `${reach}, thrown ${thrown} feet`;
+}
+
+function attackRangeText(item, activity, ranged) {
+  const props = Array.isArray(item?.system?.properties) ? item.system.properties.map(norm) : [];
+  if (!ranged && item?.type === "weapon" && props.includes("thr")) return thrownMeleeRangeText(item);
+
+  const range = activity?.range?.override ? activity.range : (item?.system?.range || {});
+  const units = norm(range?.units);
+  if (item?.type === "spell" || units === "self" || units === "touch" || units === "spec" || units === "any") {
+    const text = spellRangeText({ system: { range } });
+    if (text !== "—") return text;
+  }
+
+  const ft = feetValue(range?.value, range?.units);
+  const longFt = feetValue(range?.long, range?.units);
+  const reachFt = feetValue(range?.reach, range?.units);
+  if (ranged && Number.isFinite(ft) && ft > 0) {
+    return Number.isFinite(longFt) && longFt > ft ? `${formatDecimal(ft)}/${formatDecimal(longFt)} feet` : `${formatDecimal(ft)} feet`;
+  }
+  if (Number.isFinite(reachFt) && reachFt > 0) return `${formatDecimal(reachFt)} feet reach`;
+  if (Number.isFinite(ft) && ft > 0) return `${formatDecimal(ft)} feet`;
+  return ranged ? "—" : "5 feet";
+}
+
+function attackSourceItems(actor) {
+  return (actor?.items || []).filter((it) => {
+    if (it?.type === "weapon") return true;
+    if (it?.type !== "spell") return false;
+    return spellLevelNumber(it) === 0 || spellPreparedTag(it) !== "Not prepared";
+  });
+}
+
+function collectAttacks(actor) {
+  const abilities = getEffectiveAbilities(actor);
+  const pb = getEffectiveProfBonus(actor);
+  const globalBonuses = collectAttackBonuses(actor);
+  const rows = [];
+
+  for (const item of attackSourceItems(actor)) {
+    const activities = item?.system?.activities || {};
+    const isSpell = item?.type === "spell";
+    const magical = isSpell ? 0 : (tryNum(item?.system?.magicalBonus) ?? 0);
+
+    for (const activity of Object.values(activities)) {
+      if (activity?.type !== "attack") continue;
+
+      const ranged = weaponIsRanged(item, activity);
+      const bonusKey = `${ranged ? "r" : "m"}${isSpell ? "s" : "w"}ak`;
+      const global = globalBonuses[bonusKey];
+      const abilityKey = attackAbilityKey(actor, item, activity, ranged);
+      const mod = abilityKey ? Number(abilities?.[abilityKey]?.mod ?? 0) : 0;
+      const flat = Boolean(activity?.attack?.flat);
+      const proficient = isSpell || weaponIsProficient(actor, item);
+      const own = splitBonusFormula(actor, activity?.attack?.bonus, { "@mod": mod });
+
+      const toHitFlat = own.flat + magical + (flat ? 0 : mod + (proficient ? pb : 0) + global.attack.flat);
+      const toHitTerms = [...own.terms, ...(flat ? [] : global.attack.terms)];
+      const toHit = [fmtSigned(toHitFlat), ...toHitTerms.map((t) => (/^[-−]/.test(t) ? t : `+${t}`))].join(" ");
+
+      const attackMode = norm(activity?.attackMode);
+      const damageMod = attackMode === "offhand" ? Math.min(0, mod) : mod;
+      const tokenCtx = { ...actorFormulaContext(actor), "@mod": damageMod };
+      const damageParts = [];
+
+      if (activity?.damage?.includeBase !== false && !isSpell) {
+        const base = item?.system?.damage?.base || {};
+        const versatile = item?.system?.damage?.versatile || {};
+        const props = Array.isArray(item?.system?.properties) ? item.system.properties.map(norm) : [];
+        const useVersatile = attackMode === "twohanded" && props.includes("ver") && damagePartDice(versatile);
+        const part = useVersatile ? { ...base, ...versatile, types: versatile.types?.length ? versatile.types : base.types } : base;
+        const extra = splitBonusFormula(actor, base?.bonus, { "@mod": damageMod });
+        // Foundry only adds the ability modifier when the base bonus doesn't already reference @mod.
+        const baseMod = /@mod\b/i.test(safeText(base?.bonus)) ? 0 : damageMod;
+        damageParts.push({
+          dice: [substituteFormulaTokens(damagePartDice(part), tokenCtx), ...extra.terms],
+          flat: baseMod + magical + extra.flat + global.damage.flat,
+          types: damageTypesText(part?.types)
+        });
+      }
+
+      for (const part of activity?.damage?.parts || []) {
+        const extra = splitBonusFormula(actor, part?.bonus, { "@mod": damageMod });
+        damageParts.push({
+          dice: [substituteFormulaTokens(damagePartDice(part), tokenCtx), ...extra.terms],
+          flat: extra.flat + (damageParts.length ? 0 : global.damage.flat),
+          types: damageTypesText(part?.types)
+        });
+      }
+
+      const damage = damageParts
+        .filter((p) => p.dice.some(Boolean) || hasNumericDelta(p.flat) || p.types)
+        .map((p) => [formatDamageTerms(p.dice, p.flat), p.types].filter(Boolean).join(" "));
+      if (damage.length) damage.push(...global.damage.terms.map((t) => `+ ${t}`));
+
+      const itemName = safeText(item?.name || "Unnamed");
+      const activityName = safeText(activity?.name).trim();
+      let name = itemName;
+      if (activityName && norm(activityName).startsWith(norm(itemName))) name = activityName;
+      else if (activityName) name = `${itemName}: ${activityName}`;
+
+      rows.push({
+        name,
+        type: ATTACK_TYPE_LABELS[bonusKey],
+        range: attackRangeText(item, activity, ranged),
+        toHit,
+        damage: damage.join(", ") || "—",
+        augmented: hasNumericDelta(magical) || hasNumericDelta(global.attack.flat) || global.attack.terms.length > 0,
+        equipped: isSpell || isEquipped(item),
+        isSpell
+      });
+    }
+  }
+
+  return rows.sort((a, b) => {
+    if (a.isSpell !== b.isSpell) return a.isSpell ? 1 : -1;
+    if (a.equipped !== b.equipped) return a.equipped ? -1 : 1;
+    return safeText(a.name).localeCompare(safeText(b.name));
+  });
+}
+
+function renderAttacksTable(actor) {
+  const rows = collectAttacks(actor);
+  if (!rows.length) return document.createTextNode("No weapon or spell attacks exported.");
+
+  const wrap = document.createElement("div");
+  wrap.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 overflow-x-auto scrollbar";
+  wrap.innerHTML = `
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-left text-[11px] uppercase tracking-wide text-slate-400 border-b border-white/10">
+          <th class="px-3 py-2 font-medium">Attack</th>
+          <th class="px-3 py-2 font-medium">Range</th>
+          <th class="px-3 py-2 font-medium">To Hit</th>
+          <th class="px-3 py-2 font-medium">Damage</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => `
+          <tr class="border-b border-white/5 align-top">
+            <td class="px-3 py-2">
+              <div class="font-medium">${escapeHtml(row.name)}</div>
+              <div class="text-xs text-slate-400">${escapeHtml([row.type, row.equipped ? "" : "not equipped"].filter(Boolean).join(" • "))}</div>
+            </td>
+            <td class="px-3 py-2 text-slate-300 whitespace-nowrap">${escapeHtml(row.range)}</td>
+            <td class="px-3 py-2 font-semibold whitespace-nowrap">${highlightAugmentedHtml(escapeHtml(row.toHit), row.augmented)}</td>
+            <td class="px-3 py-2">${escapeHtml(row.damage)}</td>
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+  return wrap;
+}
+
+// ----------------------------
+// dnd5e currency
+// ----------------------------
+const COIN_KEYS = ["pp", "gp", "ep", "sp", "cp"];
+const COIN_LABELS = { pp: "Platinum", gp: "Gold", ep: "Electrum", sp: "Silver", cp: "Copper" };
+const COIN_GP_VALUE = { pp: 10, gp: 1, ep: 0.5, sp: 0.1, cp: 0.01 };
+
+function emptyCoins() {
+  return { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+}
+
+function addCoins(target, source) {
+  for (const k of COIN_KEYS) {
+    const n = tryNum(source?.[k]);
+    if (Number.isFinite(n) && n > 0) target[k] += n;
+  }
+  return target;
+}
+
+// Actor purse plus any coins stashed inside containers.
+function collectCurrency(actor) {
+  const coins = addCoins(emptyCoins(), actor?.system?.currency);
+  for (const it of actor?.items || []) {
+    if (it?.system?.currency && typeof it.system.currency === "object") addCoins(coins, it.system.currency);
+  }
+  return coins;
+}
+
+function currencyGpValue(coins) {
+  const total = COIN_KEYS.reduce((sum, k) => sum + (Number(coins?.[k]) || 0) * COIN_GP_VALUE[k], 0);
+  return Math.round(total * 100) / 100;
+}
+
+function formatCoinAmount(n) {
+  return Number(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function renderCurrencyBlock(coins) {
+  const grid = document.createElement("div");
+  grid.className = "grid grid-cols-3 md:grid-cols-6 gap-2";
+
+  for (const k of COIN_KEYS) {
+    const card = document.createElement("div");
+    card.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+    card.title = COIN_LABELS[k];
+    card.innerHTML = `<div class="text-xs text-slate-400 uppercase">${k}</div><div class="font-semibold">${formatCoinAmount(coins?.[k])}</div>`;
+    grid.appendChild(card);
+  }
+
+  const total = document.createElement("div");
+  total.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+  total.title = "Total value in gold pieces";
+  total.innerHTML = `<div class="text-xs text-slate-400">Total (gp)</div><div class="font-semibold text-amber-300">${formatCoinAmount(currencyGpValue(coins))}</div>`;
+  grid.appendChild(total);
+
+  return grid;
+}
+
+function treasuryRows(entries) {
+  const rows = entries.map((entry) => ({
+    name: safeText(entry?.name || "Unnamed"),
+    coins: collectCurrency(actorFromPayload(entry?.payload))
+  }));
+  return { rows, party: rows.reduce((sum, row) => addCoins(sum, row.coins), emptyCoins()) };
+}
+
+function renderPartyTreasury(entries) {
+  const root = document.createElement("div");
+  root.className = "vault-content-col";
+
+  const { rows, party } = treasuryRows(entries);
+
+  const hero = document.createElement("div");
+  hero.className = "character-hero glass-card";
+  hero.innerHTML = `
+    <div class="hero-eyebrow">Shared Purse</div>
+    <h2 class="hero-name">Party Treasury</h2>
+    <div class="hero-line">${rows.length} character(s) • ${escapeHtml(formatCoinAmount(currencyGpValue(party)))} gp in total</div>
+  `;
+  root.appendChild(hero);
+
+  root.appendChild(section("Combined Purse", renderCurrencyBlock(party)));
+
+  const table = document.createElement("div");
+  table.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 overflow-x-auto scrollbar";
+  table.innerHTML = `
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-left text-[11px] uppercase tracking-wide text-slate-400 border-b border-white/10">
+          <th class="px-3 py-2 font-medium">Character</th>
+          ${COIN_KEYS.map((k) => `<th class="px-3 py-2 font-medium text-right">${k}</th>`).join("")}
+          <th class="px-3 py-2 font-medium text-right">Total (gp)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => `
+          <tr class="border-b border-white/5">
+            <td class="px-3 py-2 font-medium">${escapeHtml(row.name)}</td>
+            ${COIN_KEYS.map((k) => `<td class="px-3 py-2 text-right">${formatCoinAmount(row.coins[k])}</td>`).join("")}
+            <td class="px-3 py-2 text-right font-semibold">${formatCoinAmount(currencyGpValue(row.coins))}</td>
+          </tr>
+        `).join("")}
+      </tbody>
+      <tfoot>
+        <tr class="font-semibold text-amber-300">
+          <td class="px-3 py-2">Party</td>
+          ${COIN_KEYS.map((k) => `<td class="px-3 py-2 text-right">${formatCoinAmount(party[k])}</td>`).join("")}
+          <td class="px-3 py-2 text-right">${formatCoinAmount(currencyGpValue(party))}</td>
+        </tr>
+      </tfoot>
+    </table>
+  `;
+  root.appendChild(section("By Character", rows.length ? table : document.createTextNode("No characters loaded.")));
+
+  return root;
+}
+
+// ----------------------------
+// dnd5e containers + encumbrance
+// ----------------------------
+const GEAR_ITEM_TYPES = new Set(["weapon", "equipment", "consumable", "tool", "loot", "backpack", "container"]);
+// dnd5e before 3.0 called containers "backpack"; older exports still carry that type.
+const CONTAINER_ITEM_TYPES = new Set(["backpack", "container"]);
+const WEIGHT_UNIT_LB = { lb: 1, tn: 2000, kg: 2.5, mg: 2500 };
+const SIZE_CARRY_MULTIPLIER = { tiny: 0.5, sm: 1, med: 1, lg: 2, huge: 4, grg: 8 };
+const SIZE_ORDER = ["tiny", "sm", "med", "lg", "huge", "grg"];
+
+function weightInLb(weight) {
+  const value = tryNum(weight?.value ?? weight);
+  if (!Number.isFinite(value)) return 0;
+  return value * (WEIGHT_UNIT_LB[norm(weight?.units)] ?? 1);
+}
+
+function formatWeight(lb) {
+  const n = Math.round(Number(lb || 0) * 100) / 100;
+  return `${n.toLocaleString()} lb`;
+}
+
+function itemHasProperty(item, key) {
+  const props = item?.system?.properties;
+  if (Array.isArray(props)) return props.includes(key);
+  return Boolean(props?.[key]);
+}
+
+// Children keyed by container _id; items pointing at a container that was not exported sit at the root.
+function isContainerItem(item) {
+  return CONTAINER_ITEM_TYPES.has(item?.type);
+}
+
+function buildInventoryTree(gear) {
+  const ids = new Set(gear.filter(isContainerItem).map((g) => g?._id));
+  const children = new Map();
+  const roots = [];
+  for (const g of gear) {
+    const parent = g?.system?.container;
+    if (parent && parent !== g?._id && ids.has(parent)) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(g);
+    } else {
+      roots.push(g);
+    }
+  }
+  return { roots, children };
+}
+
+function inventoryWeights(gear) {
+  const tree = buildInventoryTree(gear);
+  const byId = new Map();
+
+  const visit = (item, seen) => {
+    if (byId.has(item?._id)) return byId.get(item._id);
+    const qty = Math.max(0, Number(tryNum(item?.system?.quantity) ?? 1));
+    const own = weightInLb(item?.system?.weight) * qty;
+    let contents = 0;
+    if (isContainerItem(item) && !seen.has(item._id)) {
+      seen.add(item._id);
+      for (const child of tree.children.get(item._id) || []) contents += visit(child, seen).total;
+    }
+    const weightless = itemHasProperty(item, "weightlessContents");
+    const entry = {
+      own,
+      contents,
+      total: own + (weightless ? 0 : contents),
+      capacity: isContainerItem(item) ? weightInLb(item?.system?.capacity?.weight) : 0,
+      weightless
+    };
+    if (item?._id) byId.set(item._id, entry);
+    return entry;
+  };
+
+  let carried = 0;
+  for (const root of tree.roots) carried += visit(root, new Set()).total;
+  return { tree, byId, carried };
+}
+
+function carryingCapacity(actor) {
+  const str = Number(getEffectiveAbilities(actor)?.str?.score ?? tryNum(actor?.system?.abilities?.str?.value) ?? 10);
+  let size = norm(actor?.system?.traits?.size) || "med";
+  if (actor?.flags?.dnd5e?.powerfulBuild) size = SIZE_ORDER[Math.min(SIZE_ORDER.indexOf(size) + 1, SIZE_ORDER.length - 1)] || size;
+  const mult = SIZE_CARRY_MULTIPLIER[size] ?? 1;
+  return {
+    max: str * 15 * mult,
+    encumbered: str * 5 * mult,
+    heavilyEncumbered: str * 10 * mult
+  };
+}
+
+function renderCarriedWeight(actor, carried) {
+  const cap = carryingCapacity(actor);
+  let status = "Unencumbered";
+  let fillClass = "bg-emerald-400/80";
+  if (carried > cap.max) { status = "Over capacity"; fillClass = "bg-rose-500/90"; }
+  else if (carried > cap.heavilyEncumbered) { status = "Heavily encumbered"; fillClass = "bg-orange-400/90"; }
+  else if (carried > cap.encumbered) { status = "Encumbered"; fillClass = "bg-amber-400/90"; }
+
+  const wrap = document.createElement("div");
+  wrap.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 p-3 space-y-2";
+  wrap.innerHTML = `
+    <div class="flex items-center gap-2 text-sm">
+      <span class="font-medium">Carried ${escapeHtml(formatWeight(carried))}</span>
+      <span class="text-slate-400">of ${escapeHtml(formatWeight(cap.max))}</span>
+      <span class="ml-auto text-xs text-slate-300">${escapeHtml(status)}</span>
+    </div>
+    ${renderResourceBarHtml({ current: Math.round(carried), max: Math.round(cap.max), label: "", fillClass })}
+    <div class="text-[11px] text-slate-500">
+      Encumbered over ${escapeHtml(formatWeight(cap.encumbered))} • heavily encumbered over ${escapeHtml(formatWeight(cap.heavilyEncumbered))}
+    </div>
+  `;
+  return wrap;
+}
+
+function renderInventoryWithSearch(actor, gear) {
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+
+  const weights = inventoryWeights(gear);
+  const byId = new Map(gear.map((g) => [g?._id, g]));
+  wrap.appendChild(renderCarriedWeight(actor, weights.carried));
+
+  const controls = document.createElement("div");
+  controls.className = "flex flex-col md:flex-row md:items-center gap-2";
+  controls.innerHTML = `
+    <input class="w-full md:w-96 rounded-2xl bg-white/5 border border-white/10 px-4 py-2 outline-none focus:ring-2 focus:ring-indigo-400/40"
+           placeholder="Search this inventory…" />
+    <div class="text-xs text-slate-400 md:ml-auto" id="count"></div>
+  `;
+  wrap.appendChild(controls);
+
+  const input = controls.querySelector("input");
+  const count = controls.querySelector("#count");
+
+  const listWrap = document.createElement("div");
+  wrap.appendChild(listWrap);
+
+  const subtitle = (g, showLocation) => {
+    const qty = tryNum(g?.system?.quantity) ?? 1;
+    const w = weights.byId.get(g?._id);
+    const weight = w && Math.round(w.total * 100) > 0 ? formatWeight(w.total) : "";
+    const eq = g?.system?.equipped ? "equipped" : "";
+    const att = itemRequiresAttunement(g)
+      ? (itemIsAttuned(g) ? "attuned" : "requires attunement")
+      : "";
+    const parent = byId.get(g?.system?.container);
+    const location = showLocation && parent ? `in ${safeText(parent.name)}` : "";
+    let capacity = "";
+    if (isContainerItem(g) && w) {
+      capacity = w.capacity > 0
+        ? `contents ${formatWeight(w.contents)} / ${formatWeight(w.capacity)}`
+        : `contents ${formatWeight(w.contents)}`;
+      if (w.weightless) capacity += " (weightless)";
+    }
+    return [`qty ${qty}`, weight, capacity, eq, att, location].filter(Boolean).map(escapeHtml).join(" • ");
+  };
+
+  const cards = (items, showLocation) => listCards(items, (g) => subtitle(g, showLocation), {
+    descriptionFn: itemDescriptionHtml,
+    headerBadgeFn: (g) => [
+      usesBadgeHtml(actor, g),
+      itemRequiresAttunement(g) ? attunementRequiredBadgeHtml() : ""
+    ].join("")
+  });
+
+  const renderLevel = (items, seen) => {
+    const level = document.createElement("div");
+    level.className = "space-y-2";
+    const loose = items.filter((g) => !isContainerItem(g));
+    if (loose.length) level.appendChild(cards(loose, false));
+
+    for (const container of items.filter(isContainerItem)) {
+      const block = document.createElement("div");
+      block.className = "space-y-2";
+      block.appendChild(cards([container], false));
+
+      const w = weights.byId.get(container?._id);
+      if (w?.capacity > 0) {
+        const meter = document.createElement("div");
+        meter.className = "px-1";
+        meter.innerHTML = renderResourceBarHtml({
+          current: Math.round(w.contents * 100) / 100,
+          max: w.capacity,
+          label: `${safeText(container.name)} capacity`,
+          fillClass: w.contents > w.capacity ? "bg-rose-500/90" : "bg-indigo-400/80"
+        });
+        block.appendChild(meter);
+      }
+
+      const contents = weights.tree.children.get(container?._id) || [];
+      if (contents.length && !seen.has(container._id)) {
+        const nested = document.createElement("div");
+        nested.className = "ml-3 pl-3 border-l border-white/10";
+        nested.appendChild(renderLevel(contents, new Set([...seen, container._id])));
+        block.appendChild(nested);
+      }
+      level.appendChild(block);
+    }
+    return level;
+  };
+
+  const render = () => {
+    const q = norm(input.value);
+    const filtered = !q ? gear : gear.filter(g => norm(g?.name).includes(q));
+    count.textContent = `${filtered.length} item(s)`;
+    listWrap.innerHTML = "";
+    listWrap.appendChild(q ? cards(filtered, true) : renderLevel(weights.tree.roots, new Set()));
+  };
+
+  input.addEventListener("input", render);
+  render();
+
+  return wrap;
+}
+
+function renderSpellsWithFilter(spells) {
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+
+  const controls = document.createElement("div");
+  controls.className = "flex flex-col md:flex-row md:items-center gap-2";
+  controls.innerHTML = `
+    <div class="text-xs text-slate-400">Filter:</div>
+    <select data-role="prep" class="w-full md:w-64 rounded-2xl bg-white/5 border border-white/10 px-3 py-2 text-slate-100 outline-none focus:ring-2 focus:ring-indigo-400/40" style="color-scheme: dark;">
+      <option value="all">All spells</option>
+      <option value="prepared">Prepared (incl. always)</option>
+      <option value="always">Always prepared</option>
+      <option value="not">Not prepared</option>
+    </select>
+    <select data-role="level" class="w-full md:w-56 rounded-2xl bg-white/5 border border-white/10 px-3 py-2 text-slate-100 outline-none focus:ring-2 focus:ring-indigo-400/40" style="color-scheme: dark;">
+      <option value="all">All levels</option>
+      <option value="0">Cantrip</option>
+      <option value="1">Level 1</option>
+      <option value="2">Level 2</option>
+      <option value="3">Level 3</option>
+      <option value="4">Level 4</option>
+      <option value="5">Level 5</option>
+      <option value="6">Level 6</option>
+      <option value="7">Level 7</option>
+      <option value="8">Level 8</option>
+      <option value="9">Level 9</option>
+    </select>
+    <div class="text-xs text-slate-400 md:ml-auto" id="count"></div>
+  `;
+  wrap.appendChild(controls);
+
+  const prepSel = controls.querySelector("select[data-role='prep']");
+  const levelSel = controls.querySelector("select[data-role='level']");
+  const count = controls.querySelector("#count");
+  // Keep native option list readable on systems that ignore class styling for option popups.
+  controls.querySelectorAll("option").forEach((opt) => {
+    opt.style.color = "#0f172a";
+    opt.style.backgroundColor = "#e2e8f0";
+  });
+
+  const listWrap = document.createElement("div");
+  wrap.appendChild(listWrap);
+
+  const render = () => {
+    const mode = prepSel.value;
+    const levelMode = levelSel.value;
+
+    const filtered = spells.filter(s => {
+      const p = tryNum(s?.system?.prepared) ?? 0;
+      if (mode === "prepared" && !(p === 1 || p === 2)) return false;
+      if (mode === "always" && p !== 2) return false;
+      if (mode === "not" && p !== 0) return false;
+
+      if (levelMode !== "all") {
+        const want = Number(levelMode);
+        if (spellLevelNumber(s) !== want) return false;
+      }
+      return true;
+    });
+
+    count.textContent = `${filtered.length} spell(s)`;
+
+    listWrap.innerHTML = "";
+    listWrap.appendChild(listCards(filtered, (s) => {
+      const lvl = spellLevelNumber(s);
+      const school = s?.system?.school;
+      const tag = spellPreparedTag(s);
+      return [lvl === 0 ? "Cantrip" : `Level ${lvl}`, school, tag].filter(Boolean).join(" • ");
+    }, {
+      headerBadgeFn: (s) => (spellRequiresConcentration(s) ? concentrationBadgeHtml() : ""),
+      descriptionMetaFn: spellDescriptionMetaHtml
+    }));
+  };
+
+  prepSel.addEventListener("change", render);
+  levelSel.addEventListener("change", render);
+  render();
+
+  return wrap;
+}
+
+const SPELL_SLOT_TABLE = {
+  1: [2,0,0,0,0,0,0,0,0],
   2: [3,0,0,0,0,0,0,0,0],
   3: [4,2,0,0,0,0,0,0,0],
   4: [4,3,0,0,0,0,0,0,0],
@@ -2721,68 +3732,721 @@ function pip(color, filled) {
   return dot;
 }
 
-function renderSpellSlotsSummary(actor) {
-  const rows = buildSpellSlotRows(actor);
-  if (!rows.length) return null;
+function renderSpellSlotsSummary(actor) {
+  const rows = buildSpellSlotRows(actor);
+  if (!rows.length) return null;
+
+  const wrap = document.createElement("div");
+  wrap.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 p-3 space-y-2";
+
+  const title = document.createElement("div");
+  title.className = "text-xs uppercase tracking-wide text-slate-300";
+  title.textContent = "Spell Slots";
+  wrap.appendChild(title);
+
+  for (const row of rows) {
+    const line = document.createElement("div");
+    line.className = "flex items-center gap-3";
+
+    const label = document.createElement("div");
+    label.className = "w-24 shrink-0 text-xs text-slate-300";
+    label.textContent = row.label;
+    line.appendChild(label);
+
+    const pips = document.createElement("div");
+    pips.className = "flex flex-wrap gap-1.5";
+    const color = baseSlotColor(row.level, row.isPact);
+    for (let i = 0; i < row.available; i++) pips.appendChild(pip(color, true));
+    for (let i = 0; i < row.used; i++) pips.appendChild(pip(color, false));
+    line.appendChild(pips);
+
+    const nums = document.createElement("div");
+    nums.className = "ml-auto text-xs text-slate-400";
+    nums.textContent = `${row.available}/${row.max}`;
+    line.appendChild(nums);
+
+    wrap.appendChild(line);
+  }
+
+  return wrap;
+}
+
+// ----------------------------
+// limited uses + resources
+// ----------------------------
+const RECOVERY_PERIOD_LABELS = {
+  lr: "Long Rest",
+  sr: "Short Rest",
+  day: "Day",
+  dawn: "Dawn",
+  dusk: "Dusk",
+  initiative: "Initiative",
+  round: "Round",
+  turn: "Turn",
+  turnstart: "Start of Turn",
+  turnend: "End of Turn",
+  charges: "Charges"
+};
+const RECOVERY_PERIOD_SHORT = { "Long Rest": "LR", "Short Rest": "SR" };
+const USES_PIP_COLOR = "rgb(251,191,36)";
+const RESOURCE_PIP_COLOR = "rgb(45,212,191)";
+const MAX_USE_PIPS = 10;
+
+// evalFormula tokens stop at "-", but scale identifiers such as @scale.soulknife.energy-die.number use it.
+function expandHyphenatedTokens(formula, ctx) {
+  let out = safeText(formula);
+  const keys = Object.keys(ctx || {}).filter((k) => k.includes("-")).sort((a, b) => b.length - a.length);
+  for (const key of keys) out = out.split(key).join(String(ctx[key]));
+  return out;
+}
+
+function usesRecoveryPeriods(uses) {
+  const recovery = Array.isArray(uses?.recovery) ? uses.recovery : [];
+  const periods = recovery.map((r) => {
+    const period = norm(r?.period);
+    if (period === "recharge") {
+      const from = tryNum(r?.formula);
+      return Number.isFinite(from) && from < 6 ? `Recharge ${from}–6` : "Recharge 6";
+    }
+    return RECOVERY_PERIOD_LABELS[period] || titleCaseWords(period);
+  });
+  const legacy = norm(uses?.per);
+  if (!periods.length && legacy) periods.push(RECOVERY_PERIOD_LABELS[legacy] || titleCaseWords(legacy));
+  return [...new Set(periods.filter(Boolean))];
+}
+
+function resolveUses(actor, uses) {
+  if (!uses || typeof uses !== "object") return null;
+  const rawMax = safeText(uses?.max).trim();
+  if (!rawMax) return null;
+  const max = Math.floor(numericFormulaValue(actor, expandHyphenatedTokens(rawMax, actorFormulaContext(actor))));
+  if (!Number.isFinite(max) || max <= 0) return null;
+
+  const spent = tryNum(uses?.spent);
+  const legacyValue = tryNum(uses?.value);
+  const remaining = Number.isFinite(spent)
+    ? max - spent
+    : (Number.isFinite(legacyValue) ? legacyValue : max);
+
+  return {
+    max,
+    remaining: clamp(Math.floor(remaining), 0, max),
+    recovery: usesRecoveryPeriods(uses)
+  };
+}
+
+function itemUses(actor, item) {
+  const own = resolveUses(actor, item?.system?.uses);
+  if (own) return own;
+  for (const activity of Object.values(item?.system?.activities || {})) {
+    const fromActivity = resolveUses(actor, activity?.uses);
+    if (fromActivity) return fromActivity;
+  }
+  return null;
+}
+
+function usesPipsHtml(state, color = USES_PIP_COLOR) {
+  if (state.max > MAX_USE_PIPS) return "";
+  let html = "";
+  for (let i = 0; i < state.max; i++) html += pip(color, i < state.remaining).outerHTML;
+  return html;
+}
+
+function usesRecoveryShort(state) {
+  return state.recovery.map((p) => RECOVERY_PERIOD_SHORT[p] || p).join("/");
+}
+
+function usesBadgeHtml(actor, item) {
+  const state = itemUses(actor, item);
+  if (!state) return "";
+  const recovery = state.recovery.length ? ` • recovers on ${state.recovery.join(" or ")}` : "";
+  const short = usesRecoveryShort(state);
+  return `
+    <span class="inline-flex items-center gap-1 align-middle" title="${escapeHtml(`${state.remaining}/${state.max} uses${recovery}`)}">
+      ${usesPipsHtml(state)}
+      <span class="text-[11px] text-slate-400 whitespace-nowrap">${state.remaining}/${state.max}${short ? ` ${escapeHtml(short)}` : ""}</span>
+    </span>
+  `;
+}
+
+function collectLimitedResources(actor) {
+  const rows = [];
+
+  const resources = actor?.system?.resources || {};
+  for (const key of ["primary", "secondary", "tertiary"]) {
+    const r = resources?.[key] || {};
+    const max = Math.floor(Number(tryNum(r?.max) ?? 0));
+    if (!(max > 0)) continue;
+    const recovery = [];
+    if (r?.sr) recovery.push(RECOVERY_PERIOD_LABELS.sr);
+    if (r?.lr) recovery.push(RECOVERY_PERIOD_LABELS.lr);
+    rows.push({
+      label: safeText(r?.label).trim() || titleCaseWords(`${key} resource`),
+      remaining: clamp(Math.floor(Number(tryNum(r?.value) ?? 0)), 0, max),
+      max,
+      recovery,
+      color: RESOURCE_PIP_COLOR,
+      group: 0
+    });
+  }
+
+  for (const it of actor?.items || []) {
+    const isConsumable = it?.type === "consumable";
+    const keep = (state) => state && (state.recovery.length || state.max > 1 || !isConsumable);
+    const groupFor = it?.type === "feat" ? 1 : (it?.type === "spell" ? 2 : 3);
+
+    const own = resolveUses(actor, it?.system?.uses);
+    if (keep(own)) rows.push({ label: safeText(it?.name || "Unnamed"), ...own, color: USES_PIP_COLOR, group: groupFor });
+
+    for (const activity of Object.values(it?.system?.activities || {})) {
+      const state = resolveUses(actor, activity?.uses);
+      if (!keep(state)) continue;
+      const activityName = safeText(activity?.name).trim();
+      const label = activityName && !activityName.startsWith(safeText(it?.name))
+        ? `${safeText(it?.name)}: ${activityName}`
+        : safeText(activityName || it?.name || "Unnamed");
+      if (own && label === safeText(it?.name) && own.max === state.max) continue;
+      rows.push({
+        label,
+        ...state,
+        color: USES_PIP_COLOR,
+        group: groupFor
+      });
+    }
+  }
+
+  return rows.sort((a, b) => (a.group - b.group) || safeText(a.label).localeCompare(safeText(b.label)));
+}
+
+function renderResourcesSummary(actor) {
+  const rows = collectLimitedResources(actor);
+  if (!rows.length) return document.createTextNode("No limited-use resources exported.");
+
+  const wrap = document.createElement("div");
+  wrap.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 p-3 space-y-2";
+
+  for (const row of rows) {
+    const line = document.createElement("div");
+    line.className = "flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-3";
+
+    const label = document.createElement("div");
+    label.className = "sm:w-64 shrink-0 text-xs text-slate-200";
+    label.textContent = row.label;
+    line.appendChild(label);
+
+    const meter = document.createElement("div");
+    meter.className = "flex-1 min-w-0";
+    if (row.max > MAX_USE_PIPS) {
+      meter.innerHTML = renderResourceBarHtml({ current: row.remaining, max: row.max, label: "", fillClass: "bg-amber-400/90" });
+    } else {
+      meter.className += " flex flex-wrap gap-1.5";
+      for (let i = 0; i < row.max; i++) meter.appendChild(pip(row.color, i < row.remaining));
+    }
+    line.appendChild(meter);
+
+    const nums = document.createElement("div");
+    nums.className = "sm:ml-auto text-xs text-slate-400 whitespace-nowrap";
+    nums.textContent = [`${row.remaining}/${row.max}`, row.recovery.join(" / ")].filter(Boolean).join(" • ");
+    line.appendChild(nums);
+
+    wrap.appendChild(line);
+  }
+
+  return wrap;
+}
+
+function renderSpellsSection(actor, spells) {
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+
+  const slots = renderSpellSlotsSummary(actor);
+  if (slots) wrap.appendChild(slots);
+
+  if (spells.length) {
+    wrap.appendChild(renderSpellsWithFilter(spells));
+  } else if (!slots) {
+    wrap.appendChild(document.createTextNode("No spells exported."));
+  }
+
+  return wrap;
+}
+
+const STORY_PHYSICAL_FIELDS = [
+  ["gender", "Gender"],
+  ["age", "Age"],
+  ["height", "Height"],
+  ["weight", "Weight"],
+  ["eyes", "Eyes"],
+  ["hair", "Hair"],
+  ["skin", "Skin"],
+  ["faith", "Faith"]
+];
+const STORY_PERSONALITY_FIELDS = [
+  ["trait", "Personality Traits"],
+  ["ideal", "Ideals"],
+  ["bond", "Bonds"],
+  ["flaw", "Flaws"]
+];
+
+function plainTextHtml(text) {
+  return escapeHtml(safeText(text).trim()).replace(/\r?\n/g, "<br>");
+}
+
+function renderStorySection(actor) {
+  const details = actor?.system?.details || {};
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+
+  const physicalRows = STORY_PHYSICAL_FIELDS
+    .filter(([k]) => safeText(details?.[k]).trim())
+    .map(([k, label]) => [label, escapeHtml(safeText(details[k]).trim())]);
+  if (physicalRows.length) wrap.appendChild(kvGrid(physicalRows));
+
+  const appearance = safeText(details?.appearance).trim();
+  if (appearance) {
+    const card = document.createElement("div");
+    card.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+    card.innerHTML = `<div class="text-xs text-slate-400">Appearance</div><div class="mt-1 text-sm">${plainTextHtml(appearance)}</div>`;
+    wrap.appendChild(card);
+  }
+
+  const personality = STORY_PERSONALITY_FIELDS.filter(([k]) => safeText(details?.[k]).trim());
+  if (personality.length) {
+    const grid = document.createElement("div");
+    grid.className = "grid grid-cols-1 md:grid-cols-2 gap-2";
+    for (const [k, label] of personality) {
+      const card = document.createElement("div");
+      card.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+      card.innerHTML = `<div class="text-xs text-slate-400">${escapeHtml(label)}</div><div class="mt-1 text-sm">${plainTextHtml(details[k])}</div>`;
+      grid.appendChild(card);
+    }
+    wrap.appendChild(grid);
+  }
+
+  const bioRaw = typeof details?.biography === "string" ? details.biography : details?.biography?.value;
+  const bio = normaliseDescriptionMarkup(bioRaw);
+  if (htmlTextContent(bio)) {
+    const card = document.createElement("div");
+    card.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 p-3";
+    card.innerHTML = `<div class="text-xs text-slate-400 mb-2">Biography</div><div class="prose prose-invert max-w-none text-slate-200/90 prose-sm">${bio}</div>`;
+    wrap.appendChild(card);
+  }
+
+  if (!wrap.childElementCount) return document.createTextNode("No story details exported.");
+  return wrap;
+}
+
+function heroStat(label, value, icon = "✦") {
+  return `
+    <div class="hero-stat">
+      <span class="label">${escapeHtml(icon)} ${escapeHtml(label)}</span>
+      <span class="value">${value}</span>
+    </div>
+  `;
+}
+
+// ----------------------------
+// snapshot history
+// ----------------------------
+const snapshotCache = new Map();
+
+async function loadSnapshot(file) {
+  if (snapshotCache.has(file)) return snapshotCache.get(file);
+  const pending = fetch(cacheBustUrl(file), freshFetchOptions()).then((res) => {
+    if (!res.ok) throw new Error(`Snapshot fetch failed: ${res.status}`);
+    return readVaultJson(res);
+  });
+  snapshotCache.set(file, pending);
+  pending.catch(() => snapshotCache.delete(file));
+  return pending;
+}
+
+// Newest first; the loaded snapshot stands in for its own archived copy.
+function snapshotEntries(payload) {
+  const entries = [];
+  const seen = new Set();
+  if (payload?.exportedAt) {
+    entries.push({ exportedAt: payload.exportedAt, payload });
+    seen.add(payload.exportedAt);
+  }
+  for (const h of Array.isArray(payload?.__history) ? payload.__history : []) {
+    if (!h?.exportedAt || !h?.file || seen.has(h.exportedAt)) continue;
+    entries.push({ exportedAt: h.exportedAt, file: h.file });
+    seen.add(h.exportedAt);
+  }
+  return entries.sort((a, b) => safeText(b.exportedAt).localeCompare(safeText(a.exportedAt)));
+}
+
+function snapshotSummary(payload) {
+  const actor = actorFromPayload(payload);
+  const items = actor?.items || [];
+  const gear = new Map();
+  for (const it of items.filter((i) => GEAR_ITEM_TYPES.has(i?.type))) {
+    const name = safeText(it?.name || "Unnamed");
+    gear.set(name, (gear.get(name) || 0) + Math.max(0, Number(tryNum(it?.system?.quantity) ?? 1)));
+  }
+  return {
+    level: getClassLevel(actor),
+    hpMax: computeAdjustedHP(actor).max,
+    gold: currencyGpValue(collectCurrency(actor)),
+    gear,
+    spells: new Set(items.filter((i) => i?.type === "spell").map((i) => safeText(i?.name))),
+    attuned: new Set(items.filter((i) => itemIsAttuned(i)).map((i) => safeText(i?.name)))
+  };
+}
+
+function diffSnapshots(fromPayload, toPayload) {
+  const from = snapshotSummary(fromPayload);
+  const to = snapshotSummary(toPayload);
+  const setDiff = (a, b) => [...a].filter((x) => !b.has(x)).sort((x, y) => x.localeCompare(y));
+
+  const gained = [];
+  const lost = [];
+  for (const name of new Set([...from.gear.keys(), ...to.gear.keys()])) {
+    const delta = (to.gear.get(name) || 0) - (from.gear.get(name) || 0);
+    if (delta > 0) gained.push(from.gear.has(name) || delta > 1 ? `${name} (+${delta})` : name);
+    if (delta < 0) lost.push(to.gear.has(name) || delta < -1 ? `${name} (${delta})` : name);
+  }
+
+  return {
+    stats: [
+      ["Level", from.level, to.level],
+      ["HP max", from.hpMax, to.hpMax],
+      ["Gold (gp value)", from.gold, to.gold]
+    ],
+    lists: [
+      ["Items gained", gained.sort((a, b) => a.localeCompare(b))],
+      ["Items lost", lost.sort((a, b) => a.localeCompare(b))],
+      ["Spells learned", setDiff(to.spells, from.spells)],
+      ["Spells removed", setDiff(from.spells, to.spells)],
+      ["Newly attuned", setDiff(to.attuned, from.attuned)],
+      ["No longer attuned", setDiff(from.attuned, to.attuned)]
+    ]
+  };
+}
+
+function renderSnapshotDiff(diff) {
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+  const fmt = (n) => Number(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+  wrap.appendChild(kvGrid(diff.stats.map(([label, from, to]) => {
+    const delta = Math.round((Number(to) - Number(from)) * 100) / 100;
+    const deltaHtml = delta
+      ? ` <span class="${delta > 0 ? "text-emerald-300" : "text-rose-300"} text-xs">(${delta > 0 ? "+" : ""}${fmt(delta)})</span>`
+      : ` <span class="text-slate-500 text-xs">(no change)</span>`;
+    return [label, `${escapeHtml(fmt(from))} → ${escapeHtml(fmt(to))}${deltaHtml}`];
+  })));
+
+  const lists = document.createElement("div");
+  lists.className = "grid grid-cols-1 md:grid-cols-2 gap-2";
+  for (const [label, names] of diff.lists) {
+    const card = document.createElement("div");
+    card.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 px-3 py-2";
+    card.innerHTML = `
+      <div class="text-xs text-slate-400">${escapeHtml(label)}</div>
+      <div class="text-sm mt-1 ${names.length ? "text-slate-100" : "text-slate-500"}">${names.length ? names.map(escapeHtml).join(", ") : "None"}</div>
+    `;
+    lists.appendChild(card);
+  }
+  wrap.appendChild(lists);
+  return wrap;
+}
+
+function renderHistorySection(payload) {
+  const entries = snapshotEntries(payload);
+  if (entries.length < 2) {
+    return document.createTextNode("Only one snapshot has been archived so far. Changes will appear here after the next export.");
+  }
+
+  const wrap = document.createElement("div");
+  wrap.className = "space-y-3";
+
+  const options = entries
+    .map((e, i) => `<option value="${i}">${escapeHtml(formatExportTime(e.exportedAt) || "Unknown time")}${e.payload ? " (current)" : ""}</option>`)
+    .join("");
+  const controls = document.createElement("div");
+  controls.className = "flex flex-col md:flex-row md:items-center gap-2 text-sm";
+  controls.innerHTML = `
+    <label class="flex items-center gap-2">From
+      <select data-role="from" class="rounded-2xl bg-white/5 border border-white/10 px-3 py-1.5">${options}</select>
+    </label>
+    <label class="flex items-center gap-2">To
+      <select data-role="to" class="rounded-2xl bg-white/5 border border-white/10 px-3 py-1.5">${options}</select>
+    </label>
+  `;
+  wrap.appendChild(controls);
+
+  const fromSel = controls.querySelector("[data-role='from']");
+  const toSel = controls.querySelector("[data-role='to']");
+  fromSel.value = "1";
+  toSel.value = "0";
+
+  const out = document.createElement("div");
+  wrap.appendChild(out);
+
+  const resolve = (entry) => (entry.payload ? Promise.resolve(entry.payload) : loadSnapshot(entry.file));
+  let requestId = 0;
+  const render = async () => {
+    const current = ++requestId;
+    out.textContent = "Loading snapshots…";
+    try {
+      const [fromPayload, toPayload] = await Promise.all([
+        resolve(entries[Number(fromSel.value)]),
+        resolve(entries[Number(toSel.value)])
+      ]);
+      if (current !== requestId) return;
+      out.innerHTML = "";
+      out.appendChild(renderSnapshotDiff(diffSnapshots(fromPayload, toPayload)));
+    } catch (e) {
+      if (current !== requestId) return;
+      console.warn(e);
+      out.textContent = "That snapshot could not be loaded.";
+    }
+  };
+
+  fromSel.addEventListener("change", render);
+  toSel.addEventListener("change", render);
+  render();
+
+  return wrap;
+}
+
+// ----------------------------
+// party overview
+// ----------------------------
+function partyOverviewRow(entry) {
+  const actor = actorFromPayload(entry?.payload);
+  const row = { id: entry?.id, name: safeText(entry?.name || "Unnamed"), isDnd5e: guessSystem(entry?.payload) === "dnd5e" };
+  if (!row.isDnd5e) return row;
+
+  const hp = computeAdjustedHP(actor);
+  const dc = spellSaveDC(actor);
+  const exhaustion = Number(tryNum(actor?.system?.attributes?.exhaustion?.value ?? actor?.system?.attributes?.exhaustion) ?? 0);
+  return {
+    ...row,
+    ac: computeAC(actor),
+    hp,
+    passives: ["prc", "ins", "inv"].map((k) => passiveSkill(actor, k)),
+    dc: Number.isFinite(dc) ? dc : null,
+    speed: formatMovement(computeMovement(actor)).split(/[;,]/)[0] || "—",
+    init: initiativeBonus(actor),
+    conditions: [...actorConditionTags(actor)]
+      .filter((t) => CONDITION_LABELS[t])
+      .map((t) => (t === "exhaustion" && exhaustion > 0 ? `${CONDITION_LABELS[t]} ${exhaustion}` : CONDITION_LABELS[t]))
+      .sort()
+  };
+}
+
+function renderPartyOverview(entries) {
+  const root = document.createElement("div");
+  root.className = "vault-content-col";
+
+  const rows = entries.map(partyOverviewRow);
+
+  const hero = document.createElement("div");
+  hero.className = "character-hero glass-card";
+  hero.innerHTML = `
+    <div class="hero-eyebrow">At the Table</div>
+    <h2 class="hero-name">Party</h2>
+    <div class="hero-line">${rows.length} character(s) • select a name to open their sheet</div>
+  `;
+  root.appendChild(hero);
+
+  const cell = (html, extra = "") => `<td class="px-3 py-2 text-right ${extra}">${html}</td>`;
+  const table = document.createElement("div");
+  table.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 overflow-x-auto scrollbar";
+  table.innerHTML = `
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-left text-[11px] uppercase tracking-wide text-slate-400 border-b border-white/10">
+          <th class="px-3 py-2 font-medium">Character</th>
+          <th class="px-3 py-2 font-medium text-right">AC</th>
+          <th class="px-3 py-2 font-medium text-right">HP</th>
+          <th class="px-3 py-2 font-medium text-right" title="Passive Perception">Prc</th>
+          <th class="px-3 py-2 font-medium text-right" title="Passive Insight">Ins</th>
+          <th class="px-3 py-2 font-medium text-right" title="Passive Investigation">Inv</th>
+          <th class="px-3 py-2 font-medium text-right">Spell DC</th>
+          <th class="px-3 py-2 font-medium text-right">Speed</th>
+          <th class="px-3 py-2 font-medium text-right">Init</th>
+          <th class="px-3 py-2 font-medium">Conditions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => {
+          const name = `<button type="button" class="font-medium hover:underline text-left" data-id="${escapeHtml(row.id)}">${escapeHtml(row.name)}</button>`;
+          if (!row.isDnd5e) {
+            return `<tr class="border-b border-white/5"><td class="px-3 py-2">${name}</td><td class="px-3 py-2 text-slate-500" colspan="9">No dnd5e data</td></tr>`;
+          }
+          const temp = Number(row.hp.temp) > 0 ? ` <span class="text-sky-300">+${escapeHtml(row.hp.temp)}</span>` : "";
+          const hpClass = row.hp.value <= 0 ? "text-rose-300" : (row.hp.value <= row.hp.effectiveMax / 2 ? "text-amber-300" : "");
+          return `
+            <tr class="border-b border-white/5">
+              <td class="px-3 py-2">${name}</td>
+              ${cell(escapeHtml(row.ac ?? "—"), "font-semibold")}
+              ${cell(`${escapeHtml(row.hp.value)}/${escapeHtml(row.hp.effectiveMax)}${temp}`, `whitespace-nowrap ${hpClass}`)}
+              ${row.passives.map((v) => cell(escapeHtml(v))).join("")}
+              ${cell(escapeHtml(row.dc ?? "—"))}
+              ${cell(escapeHtml(row.speed), "whitespace-nowrap")}
+              ${cell(escapeHtml(fmtSigned(row.init)))}
+              <td class="px-3 py-2 text-xs ${row.conditions.length ? "text-rose-200" : "text-slate-500"}">${row.conditions.length ? row.conditions.map(escapeHtml).join(", ") : "—"}</td>
+            </tr>
+          `;
+        }).join("")}
+      </tbody>
+    </table>
+  `;
+  table.querySelectorAll("button[data-id]").forEach((btn) => {
+    btn.addEventListener("click", () => selectActor(btn.dataset.id));
+  });
+  root.appendChild(section("Party Overview", rows.length ? table : document.createTextNode("No characters loaded.")));
 
-  const wrap = document.createElement("div");
-  wrap.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 p-3 space-y-2";
+  return root;
+}
 
-  const title = document.createElement("div");
-  title.className = "text-xs uppercase tracking-wide text-slate-300";
-  title.textContent = "Spell Slots";
-  wrap.appendChild(title);
+// ----------------------------
+// character comparison
+// ----------------------------
+function comparisonRows(actors) {
+  const groups = [];
+  const numericRow = (label, values, display) => ({ label, values, display, numeric: true });
+
+  const abilities = actors.map((a) => getEffectiveAbilities(a));
+  groups.push({
+    title: "Abilities",
+    rows: SAVE_KEYS.map((k) => numericRow(
+      ABILITY_LONG[k],
+      abilities.map((ab) => Number(ab?.[k]?.score ?? 0)),
+      abilities.map((ab) => `${ab?.[k]?.score ?? "—"} (${fmtSigned(ab?.[k]?.mod ?? 0)})`)
+    ))
+  });
 
-  for (const row of rows) {
-    const line = document.createElement("div");
-    line.className = "flex items-center gap-3";
+  const saveModes = actors.map((a) => collectSaveRollModes(a));
+  groups.push({
+    title: "Saving Throws",
+    rows: SAVE_KEYS.map((k) => {
+      const values = actors.map((a) => savingThrowBonus(a, k));
+      return numericRow(
+        `${ABILITY_LONG[k]} Save`,
+        values,
+        values.map((v, i) => `${fmtSigned(v)}${saveModes[i][k] ? ` ${skillModeBadge(saveModes[i][k])}` : ""}`)
+      );
+    })
+  });
 
-    const label = document.createElement("div");
-    label.className = "w-24 shrink-0 text-xs text-slate-300";
-    label.textContent = row.label;
-    line.appendChild(label);
+  const skillModes = actors.map((a) => collectSkillRollModes(a));
+  groups.push({
+    title: "Skills",
+    rows: Object.keys(SKILL_LABELS).map((k) => {
+      const values = actors.map((a) => skillBonus(a, k));
+      return numericRow(
+        SKILL_LABELS[k],
+        values,
+        values.map((v, i) => `${fmtSigned(v)}${skillModes[i][k] ? ` ${skillModeBadge(skillModes[i][k])}` : ""}`)
+      );
+    })
+  });
 
-    const pips = document.createElement("div");
-    pips.className = "flex flex-wrap gap-1.5";
-    const color = baseSlotColor(row.level, row.isPact);
-    for (let i = 0; i < row.available; i++) pips.appendChild(pip(color, true));
-    for (let i = 0; i < row.used; i++) pips.appendChild(pip(color, false));
-    line.appendChild(pips);
+  const defences = actors.map((a) => collectDefences(a));
+  groups.push({
+    title: "Defences",
+    rows: [["Resistances", "dr"], ["Immunities", "di"], ["Vulnerabilities", "dv"], ["Condition Immunities", "ci"]]
+      .map(([label, key]) => ({ label, display: defences.map((d) => escapeHtml(traitSetText(d[key]))), numeric: false }))
+  });
 
-    const nums = document.createElement("div");
-    nums.className = "ml-auto text-xs text-slate-400";
-    nums.textContent = `${row.available}/${row.max}`;
-    line.appendChild(nums);
+  return groups;
+}
 
-    wrap.appendChild(line);
-  }
+function renderComparisonTable(entries) {
+  const actors = entries.map((e) => actorFromPayload(e.payload));
+  const groups = comparisonRows(actors);
+  const best = (values) => {
+    const top = Math.max(...values);
+    return values.every((v) => v === top) ? null : top;
+  };
 
-  return wrap;
+  const table = document.createElement("div");
+  table.className = "vault-card rounded-2xl bg-slate-950/40 border border-white/10 overflow-x-auto scrollbar";
+  table.innerHTML = `
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-left text-[11px] uppercase tracking-wide text-slate-400 border-b border-white/10">
+          <th class="px-3 py-2 font-medium"></th>
+          ${entries.map((e) => `<th class="px-3 py-2 font-medium text-right">${escapeHtml(e.name)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${groups.map((group) => `
+          <tr><td class="px-3 pt-4 pb-1 text-xs uppercase tracking-wide text-indigo-200" colspan="${entries.length + 1}">${escapeHtml(group.title)}</td></tr>
+          ${group.rows.map((row) => {
+            const top = row.numeric ? best(row.values) : null;
+            return `
+              <tr class="border-b border-white/5">
+                <td class="px-3 py-1.5 text-slate-300">${escapeHtml(row.label)}</td>
+                ${row.display.map((html, i) => {
+                  const isBest = top !== null && row.values[i] === top;
+                  const cls = row.numeric ? "whitespace-nowrap" : "text-xs";
+                  return `<td class="px-3 py-1.5 text-right ${cls} ${isBest ? "text-emerald-300 font-semibold bg-emerald-500/10" : ""}">${html}</td>`;
+                }).join("")}
+              </tr>
+            `;
+          }).join("")}
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+  return table;
 }
 
-function renderSpellsSection(actor, spells) {
-  const wrap = document.createElement("div");
-  wrap.className = "space-y-3";
+function renderComparison(entries) {
+  const root = document.createElement("div");
+  root.className = "vault-content-col";
 
-  const slots = renderSpellSlotsSummary(actor);
-  if (slots) wrap.appendChild(slots);
+  const candidates = entries.filter((e) => guessSystem(e?.payload) === "dnd5e");
+  if (!compareIds) compareIds = new Set(candidates.map((e) => e.id));
 
-  if (spells.length) {
-    wrap.appendChild(renderSpellsWithFilter(spells));
-  } else if (!slots) {
-    wrap.appendChild(document.createTextNode("No spells exported."));
+  const hero = document.createElement("div");
+  hero.className = "character-hero glass-card";
+  hero.innerHTML = `
+    <div class="hero-eyebrow">Side by Side</div>
+    <h2 class="hero-name">Compare Characters</h2>
+    <div class="hero-line">Pick two or more characters • the best value in each row is highlighted</div>
+  `;
+  root.appendChild(hero);
+
+  const picker = document.createElement("div");
+  picker.className = "flex flex-wrap gap-2";
+  for (const entry of candidates) {
+    const label = document.createElement("label");
+    label.className = "inline-flex items-center gap-2 rounded-2xl bg-white/5 border border-white/10 px-3 py-1.5 text-sm cursor-pointer";
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(entry.id)}" ${compareIds.has(entry.id) ? "checked" : ""} /> ${escapeHtml(entry.name)}`;
+    picker.appendChild(label);
   }
 
-  return wrap;
-}
+  const out = document.createElement("div");
+  const render = () => {
+    const picked = candidates.filter((e) => compareIds.has(e.id));
+    out.innerHTML = "";
+    out.appendChild(picked.length >= 2
+      ? renderComparisonTable(picked)
+      : document.createTextNode("Select at least two characters to compare."));
+  };
+  picker.addEventListener("change", (ev) => {
+    const box = ev.target;
+    if (!box?.value) return;
+    if (box.checked) compareIds.add(box.value);
+    else compareIds.delete(box.value);
+    render();
+  });
+  render();
 
-function heroStat(label, value, icon = "✦") {
-  return `
-    <div class="hero-stat">
-      <span class="label">${escapeHtml(icon)} ${escapeHtml(label)}</span>
-      <span class="value">${value}</span>
-    </div>
-  `;
+  const body = document.createElement("div");
+  body.className = "space-y-3";
+  body.appendChild(picker);
+  body.appendChild(out);
+  root.appendChild(section("Comparison", candidates.length ? body : document.createTextNode("No dnd5e characters loaded.")));
+
+  return root;
 }
 
 function renderDnd5e(payload) {
@@ -2822,19 +4486,25 @@ function renderDnd5e(payload) {
   const contentCol = document.createElement("div");
   contentCol.className = "vault-content-col order-last xl:order-first";
 
-  const anchorPrefix = makeAnchorId(`sheet-${safeText(actor?._id || actor?.name || "actor")}`, "root");
+  const anchorPrefix = sheetAnchorPrefix(actor);
   const quickLinks = [];
 
   const overviewId = makeAnchorId(anchorPrefix, "Overview");
   const abilitiesId = makeAnchorId(anchorPrefix, "Abilities");
   const combatId = makeAnchorId(anchorPrefix, "Combat");
+  const attacksId = makeAnchorId(anchorPrefix, "Attacks");
+  const resourcesId = makeAnchorId(anchorPrefix, "Resources");
   const savesId = makeAnchorId(anchorPrefix, "Saves");
+  const defencesId = makeAnchorId(anchorPrefix, "Defences");
   const skillsId = makeAnchorId(anchorPrefix, "Skills");
   const effectsId = makeAnchorId(anchorPrefix, "Active Effects");
   const spellsId = makeAnchorId(anchorPrefix, "Spells");
   const featuresId = makeAnchorId(anchorPrefix, "Features");
   const attunementId = makeAnchorId(anchorPrefix, "Attunement");
+  const currencyId = makeAnchorId(anchorPrefix, "Currency");
   const inventoryId = makeAnchorId(anchorPrefix, "Inventory");
+  const storyId = makeAnchorId(anchorPrefix, "Story");
+  const historyId = makeAnchorId(anchorPrefix, "History");
 
   const hero = document.createElement("div");
   hero.className = "character-hero glass-card";
@@ -2842,7 +4512,7 @@ function renderDnd5e(payload) {
   hero.innerHTML = `
     <div class="character-hero-inner">
       <div class="portrait-frame">
-        <img src="${actorImageUrl(payload, actor)}" alt="${escapeHtml(actor?.name || "Character portrait")}" />
+        <img src="${actorImageUrl(payload, actor)}" alt="${escapeHtml(actor?.name || "Character portrait")}" data-portrait />
       </div>
       <div class="min-w-0">
         <div class="hero-eyebrow">Selected Character</div>
@@ -2869,6 +4539,8 @@ function renderDnd5e(payload) {
       <button class="tab-button" data-target="${inventoryId}" type="button">Inventory</button>
       <button class="tab-button" data-target="${effectsId}" type="button">Effects</button>
       <button class="tab-button" data-target="${skillsId}" type="button">Skills</button>
+      <button class="tab-button" data-target="${storyId}" type="button">Story</button>
+      <button class="tab-button" data-target="${historyId}" type="button">History</button>
     </div>
   `;
   const trackersHost = hero.querySelector("#pills");
@@ -2878,11 +4550,7 @@ function renderDnd5e(payload) {
     trackersHost.appendChild(pill(meta.line2));
   }
   hero.querySelectorAll(".tab-button[data-target]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      hero.querySelectorAll(".tab-button").forEach((b) => b.classList.toggle("is-active", b === btn));
-      const target = document.getElementById(btn.dataset.target);
-      if (target) target.scrollIntoView({ behavior: "smooth", block: "start" });
-    });
+    btn.addEventListener("click", () => openSheetTab(btn));
   });
 
   contentCol.appendChild(hero);
@@ -2913,9 +4581,18 @@ function renderDnd5e(payload) {
   contentCol.appendChild(section("Combat", kvGrid(combatRows), combatId));
   quickLinks.push({ label: "Combat", id: combatId });
 
+  contentCol.appendChild(section("Attacks", renderAttacksTable(actor), attacksId));
+  quickLinks.push({ label: "Attacks", id: attacksId });
+
+  contentCol.appendChild(section("Resources", renderResourcesSummary(actor), resourcesId));
+  quickLinks.push({ label: "Resources", id: resourcesId });
+
   contentCol.appendChild(section("Saves", renderSavesGrid(actor), savesId));
   quickLinks.push({ label: "Saves", id: savesId });
 
+  contentCol.appendChild(section("Defences", renderDefencesBlock(actor), defencesId));
+  quickLinks.push({ label: "Defences", id: defencesId });
+
   contentCol.appendChild(section("Skills", renderSkillsSection(actor), skillsId));
   quickLinks.push({ label: "Skills", id: skillsId });
 
@@ -2936,9 +4613,8 @@ function renderDnd5e(payload) {
     .filter(f => !FEATURE_BLACKLIST.has(norm(f?.name)))
     .sort((a,b)=> safeText(a.name).localeCompare(safeText(b.name)));
 
-  const gearTypes = new Set(["weapon","equipment","consumable","tool","loot","backpack"]);
   const gear = items
-    .filter(i => gearTypes.has(i?.type))
+    .filter(i => GEAR_ITEM_TYPES.has(i?.type))
     .sort((a,b)=> safeText(a.name).localeCompare(safeText(b.name)));
 
   const spellsTitle = Number.isFinite(dc)
@@ -2947,15 +4623,26 @@ function renderDnd5e(payload) {
   contentCol.appendChild(section(spellsTitle, renderSpellsSection(actor, spells), spellsId));
   quickLinks.push({ label: "Spells", id: spellsId });
 
-  contentCol.appendChild(section("Features", feats.length ? listCards(feats) : document.createTextNode("No features exported."), featuresId));
+  contentCol.appendChild(section("Features", feats.length
+    ? listCards(feats, null, { headerBadgeFn: (f) => usesBadgeHtml(actor, f) })
+    : document.createTextNode("No features exported."), featuresId));
   quickLinks.push({ label: "Features", id: featuresId });
 
   contentCol.appendChild(section("Attunement", renderAttunementSummary(actor), attunementId));
   quickLinks.push({ label: "Attunement", id: attunementId });
 
-  contentCol.appendChild(section("Inventory", gear.length ? renderInventoryWithSearch(gear) : document.createTextNode("No inventory exported."), inventoryId));
+  contentCol.appendChild(section("Currency", renderCurrencyBlock(collectCurrency(actor)), currencyId));
+  quickLinks.push({ label: "Currency", id: currencyId });
+
+  contentCol.appendChild(section("Inventory", gear.length ? renderInventoryWithSearch(actor, gear) : document.createTextNode("No inventory exported."), inventoryId));
   quickLinks.push({ label: "Inventory", id: inventoryId });
 
+  contentCol.appendChild(section("Story", renderStorySection(actor), storyId));
+  quickLinks.push({ label: "Story", id: storyId });
+
+  contentCol.appendChild(section("History", renderHistorySection(payload), historyId));
+  quickLinks.push({ label: "History", id: historyId });
+
   root.appendChild(contentCol);
   root.appendChild(quickAccessNav(quickLinks));
 
@@ -2973,7 +4660,7 @@ function renderUnknown(payload) {
   hero.className = "rounded-3xl bg-white/5 border border-white/10 p-5";
   hero.innerHTML = `
     <div class="flex gap-4 items-start">
-      <img src="${actorImageUrl(payload, actor)}" class="h-20 w-20 rounded-3xl object-cover border border-white/10" />
+      <img src="${actorImageUrl(payload, actor)}" class="h-20 w-20 rounded-3xl object-cover border border-white/10" data-portrait />
       <div class="min-w-0 flex-1">
         <h2 class="text-2xl font-semibold tracking-tight truncate">${safeText(actor?.name)}</h2>
         <div class="mt-1 text-slate-300">System: <span class="text-white font-medium">${sysId}</span></div>
@@ -2991,10 +4678,28 @@ function renderUnknown(payload) {
   return root;
 }
 
+function renderSchemaWarning(version) {
+  const banner = document.createElement("div");
+  banner.className = "vault-card rounded-3xl border border-amber-300/40 bg-amber-400/5 p-4";
+  banner.innerHTML = `
+    <div class="text-sm font-semibold text-amber-100">Unrecognised export schema (version ${escapeHtml(version)})</div>
+    <div class="text-xs text-slate-300 mt-1">This snapshot was written by a newer or modified export macro. The sheet below is a best effort; update the vault to read it fully.</div>
+  `;
+  return banner;
+}
+
 function renderSheet(payload) {
   const sysId = guessSystem(payload);
-  if (sysId === "dnd5e") return renderDnd5e(payload);
-  return renderUnknown(payload);
+  const sheet = sysId === "dnd5e" ? renderDnd5e(payload) : renderUnknown(payload);
+  const schemaVersion = unknownSchemaVersion(payload);
+  if (!payload?.__localPreview && !schemaVersion) return sheet;
+
+  const wrap = document.createElement("div");
+  wrap.className = "flex flex-col gap-4";
+  if (payload?.__localPreview) wrap.appendChild(renderLocalPreviewBanner(payload));
+  if (schemaVersion) wrap.appendChild(renderSchemaWarning(schemaVersion));
+  wrap.appendChild(sheet);
+  return wrap;
 }
 
 // ----------------------------
@@ -3004,56 +4709,455 @@ function paintRoster(entries) {
   rosterEl.innerHTML = "";
   const frag = document.createDocumentFragment();
   for (const entry of entries) frag.appendChild(rosterItem(entry));
-  rosterEl.appendChild(frag);
 
   if (!entries.length) {
     rosterEl.innerHTML = `<div class="p-4 text-slate-300">No characters loaded.</div>`;
     clearSheet();
   }
+  rosterEl.appendChild(frag);
+}
+
+function repaintRosterItem(entry) {
+  const node = [...rosterEl.querySelectorAll("button[data-id]")].find((b) => b.dataset.id === entry.id);
+  node?.replaceWith(rosterItem(entry));
 }
 
-function selectActor(id) {
+function sheetLoading(title, detail) {
+  sheetEl.innerHTML = `<div class="vault-empty"><div><img src="./assets/waterdeep-crest.png" alt="" /><h2 class="hero-name">${escapeHtml(title)}</h2><p class="mt-3 text-slate-300">${escapeHtml(detail)}</p></div></div>`;
+}
+
+// Resolves to true once the sheet is on screen, or false if the snapshot failed or another choice came first.
+async function selectActor(id) {
   selectedId = id;
-  const found = allPayloads.find(x => (actorFromPayload(x.payload)?._id || x.id) === id);
-  if (!found) return;
+  const found = allPayloads.find(x => x.id === id);
+  if (!found) return false;
+  const request = ++sheetRequest;
 
   rosterEl.querySelectorAll("button[data-id]").forEach(b => {
     const isSelected = b.dataset.id === id;
     b.classList.toggle("bg-white/10", isSelected);
     b.classList.toggle("is-selected", isSelected);
   });
+  writeRoute({ character: routeKey(found), section: "", item: "", view: "" }, { push: true });
+
+  if (!found.payload) {
+    sheetLoading(`Opening ${found.name}…`, "Fetching the latest Foundry snapshot.");
+    try {
+      await loadEntryPayload(found);
+    } catch (e) {
+      repaintRosterItem(found);
+      if (request === sheetRequest) sheetLoading(`Could not open ${found.name}`, `${e.message}. Select the character again to retry.`);
+      return false;
+    }
+    repaintRosterItem(found);
+    if (request !== sheetRequest) return false;
+  }
 
   sheetEl.innerHTML = "";
   sheetEl.appendChild(renderSheet(found.payload));
+  return true;
+}
+
+function clearRosterSelection() {
+  selectedId = null;
+  rosterEl.querySelectorAll("button[data-id]").forEach(b => {
+    b.classList.remove("bg-white/10", "is-selected");
+  });
+}
+
+// Local previews stay out of the party views: a previewed character is usually also deployed, and would
+// otherwise be counted twice in the treasury and the overview.
+function partyEntries(entries) {
+  return entries.filter((x) => !x.localPreview && x.payload);
+}
+
+// The party views read every sheet, so any snapshot not opened yet is fetched first.
+async function showPartyView(view, render) {
+  clearRosterSelection();
+  const request = ++sheetRequest;
+  writeRoute({ view, character: "", section: "", item: "" }, { push: true });
+
+  const missing = allPayloads.filter((x) => !x.localPreview && !x.payload);
+  if (missing.length) {
+    sheetLoading("Gathering the party…", `Fetching ${missing.length} character file(s).`);
+    const failed = await ensurePayloads(missing);
+    setStatus(failed.length ? `${vaultStatus} Left out ${failed.map((x) => x.name).join(", ")}: could not be loaded.` : vaultStatus);
+    applyGlobalSearch();
+    if (request !== sheetRequest) return;
+  }
+
+  sheetEl.innerHTML = "";
+  sheetEl.appendChild(render(partyEntries(allPayloads)));
+}
+
+function showPartyOverview() {
+  return showPartyView("party", renderPartyOverview);
+}
+
+function showComparison() {
+  return showPartyView("compare", renderComparison);
+}
+
+function showPartyTreasury() {
+  return showPartyView("treasury", renderPartyTreasury);
+}
+
+// ----------------------------
+// local preview (drag-and-drop)
+// ----------------------------
+// Dropped exports live only in this tab's memory; nothing is uploaded or stored.
+function isFoundryActorExport(payload) {
+  const actor = actorFromPayload(payload);
+  return !!payload && typeof payload === "object" && actor !== payload && typeof actor?.name === "string" && Array.isArray(actor?.items);
+}
+
+function deployedEntryFor(payload) {
+  const actor = actorFromPayload(payload);
+  return allPayloads.find((x) => !x.localPreview && ((actor?._id && x.id === actor._id) || slugName(x.name) === slugName(actor?.name))) || null;
+}
+
+function renderLocalPreviewBanner(payload) {
+  const preview = payload.__localPreview;
+  const deployed = deployedEntryFor(payload);
+  const banner = document.createElement("div");
+  banner.className = "vault-card rounded-3xl border border-amber-300/40 bg-amber-400/5 p-4 space-y-3";
+  banner.innerHTML = `
+    <div class="flex flex-col md:flex-row md:items-center gap-3">
+      <div class="min-w-0 flex-1">
+        <div class="text-sm font-semibold text-amber-100">Local preview of ${escapeHtml(preview.fileName)}</div>
+        <div class="text-xs text-slate-300 mt-1">Only in this browser tab, not in the vault. ${escapeHtml(formatExportTime(payload?.exportedAt) ? `Exported ${formatExportTime(payload.exportedAt)}` : "No export time recorded.")}</div>
+      </div>
+      <div class="flex gap-2">
+        ${deployed ? `<button type="button" data-role="compare" class="vault-button">Compare with deployed</button>` : ""}
+        <button type="button" data-role="remove" class="vault-button">Remove preview</button>
+      </div>
+    </div>
+  `;
+
+  const out = document.createElement("div");
+  out.hidden = true;
+  banner.appendChild(out);
+
+  banner.querySelector("[data-role='compare']")?.addEventListener("click", async (e) => {
+    out.hidden = !out.hidden;
+    e.currentTarget.textContent = out.hidden ? "Compare with deployed" : "Hide comparison";
+    if (out.hidden || out.childElementCount) return;
+    try {
+      await loadEntryPayload(deployed);
+    } catch (err) {
+      out.textContent = `Could not load the deployed snapshot: ${err.message}`;
+      return;
+    }
+    out.textContent = "";
+    const head = document.createElement("div");
+    head.className = "text-xs text-slate-400";
+    head.textContent = `Deployed export ${formatExportTime(deployed.payload?.exportedAt)}`.trim() + " → this file";
+    out.appendChild(head);
+    out.appendChild(renderSnapshotDiff(diffSnapshots(deployed.payload, payload)));
+  });
+  banner.querySelector("[data-role='remove']").addEventListener("click", () => removeLocalPreview(preview.id));
+  return banner;
+}
+
+async function importLocalPreviews(files) {
+  const jsonFiles = files.filter((f) => /\.json$/i.test(f.name) || f.type === "application/json");
+  if (!jsonFiles.length) {
+    setStatus("Drop Foundry export .json files to preview them.");
+    return;
+  }
+
+  const candidates = [];
+  const rejected = [];
+  for (const file of jsonFiles) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const data = JSON.parse(await file.text());
+      // A bundle from foundry-macro-export.js previews every character it holds.
+      if (data?.format === EXPORT_BUNDLE_FORMAT && Array.isArray(data.files)) {
+        for (const entry of data.files) {
+          const image = [entry?.images?.portrait, entry?.images?.token].find((img) => PORTRAIT_MIME_TYPES[img?.ext] && img?.data);
+          const portrait = image ? `data:${PORTRAIT_MIME_TYPES[image.ext]};base64,${image.data}` : null;
+          candidates.push({ fileName: `${file.name} › ${safeText(entry?.file)}`, payload: entry?.payload, portrait });
+        }
+      } else {
+        candidates.push({ fileName: file.name, payload: data });
+      }
+    } catch (e) {
+      console.warn(file.name, e);
+      rejected.push(file.name);
+    }
+  }
+
+  const added = [];
+  for (const { fileName, payload, portrait } of candidates) {
+    try {
+      if (!isFoundryActorExport(payload)) throw new Error("not a Foundry actor export");
+      const id = `local-${++localPreviewCount}`;
+      payload.__localPreview = { id, fileName };
+      payload.__history = [];
+      // eslint-disable-next-line no-await-in-loop
+      const entry = await rosterEntryFromPayload(payload);
+      entry.id = id;
+      entry.localPreview = true;
+      if (portrait) payload.__portrait = entry.portrait = portrait;
+      entry.meta = { ...entry.meta, line1: `Local preview • ${entry.meta.line1}` };
+      // Dropping the same file again replaces its earlier preview.
+      allPayloads = allPayloads.filter((x) => !(x.localPreview && x.payload.__localPreview.fileName === fileName));
+      allPayloads.push(entry);
+      added.push(entry);
+    } catch (e) {
+      console.warn(fileName, e);
+      rejected.push(fileName);
+    }
+  }
+
+  allPayloads.sort((a,b)=> safeText(a.name).localeCompare(safeText(b.name)));
+  applyGlobalSearch();
+  if (added.length) selectActor(added[0].id);
+  const skipped = rejected.length ? ` Skipped ${rejected.join(", ")}: not a readable Foundry actor export.` : "";
+  setStatus(`${added.length} local preview(s) added. They disappear when this tab is closed.${skipped}`);
+}
+
+function removeLocalPreview(id) {
+  allPayloads = allPayloads.filter((x) => x.id !== id);
+  if (selectedId === id) {
+    selectedId = null;
+    clearSheet();
+  }
+  applyGlobalSearch();
+}
+
+function dragHasFiles(e) {
+  return [...(e.dataTransfer?.types || [])].includes("Files");
+}
+
+const MANIFEST_FETCH_CONCURRENCY = 4;
+
+// A stored copy whose manifest hash still matches is used as is; anything else is fetched and stored with
+// the new hash. Error messages name the step that failed so a broken export can be told apart from a missing one.
+async function fetchActorSnapshot(file, cacheToken, hash) {
+  const key = offlineRecordKey(file);
+  if (hash) {
+    const stored = await withOfflineStore("readonly", (store) => store.get(key));
+    if (stored?.hash === hash) {
+      try {
+        return { payload: await parseVaultJson(stored.body), reused: true };
+      } catch (e) {
+        console.warn(file, "stored copy unreadable, fetching again", e);
+      }
+    }
+  }
+
+  let res;
+  try {
+    res = await fetch(cacheBustUrl(file, cacheToken), freshFetchOptions());
+  } catch (e) {
+    throw new Error(`network error (${e.message})`);
+  }
+  if (!res.ok) throw new Error(`HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`);
+  noteOfflineResponse(res);
+  const body = await res.arrayBuffer();
+  let payload;
+  try {
+    payload = await parseVaultJson(body);
+  } catch (e) {
+    throw new Error(e instanceof SyntaxError ? `invalid JSON (${e.message})` : e.message || "unreadable snapshot");
+  }
+  if (hash) {
+    const record = { body, contentType: res.headers?.get?.("Content-Type") || "application/json", storedAt: new Date().toISOString(), hash };
+    await withOfflineStore("readwrite", (store) => store.put(record, key));
+  }
+  return { payload, reused: false };
 }
 
-async function loadManifestPayloads(cacheToken = currentCacheBust) {
+// Manifest entries this identity may see. Each one already carries the roster summary.
+async function loadManifest(cacheToken = currentCacheBust) {
   const res = await fetch(cacheBustUrl(MANIFEST_URL, cacheToken), freshFetchOptions());
   if (!res.ok) throw new Error(`Manifest fetch failed: ${res.status}`);
-  const manifest = await res.json(); // [{file,name?}]
+  noteOfflineResponse(res);
+  const manifest = await readVaultJson(res); // [{id,name,file,hash,summary,portrait,...}]
+
+  const identity = vaultIdentity();
+  return manifest
+    .map((entry) => (typeof entry === "string" ? { file: entry } : entry))
+    .filter((entry) => entry?.file && identityCanSee(identity, entry));
+}
+
+// Fetches a deployed character's snapshot the first time it is needed; callers asking at once share one request.
+function loadEntryPayload(entry) {
+  if (entry.payload) return Promise.resolve(entry.payload);
+  if (!entry.pending) {
+    entry.pending = fetchActorSnapshot(entry.file, currentCacheBust, entry.hash)
+      .then(({ payload }) => {
+        payload.__history = entry.history;
+        payload.__portrait = entry.portrait;
+        Object.assign(entry, {
+          payload,
+          meta: getMeta(payload),
+          corpus: extractSearchCorpus(payload),
+          index: buildSearchIndex(payload),
+          loadError: null
+        });
+        return payload;
+      })
+      .catch((e) => {
+        console.warn(entry.file, e);
+        entry.loadError = e.message;
+        throw e;
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+  }
+  return entry.pending;
+}
+
+// Fetches a few snapshots at a time and resolves to the entries that failed.
+async function ensurePayloads(entries) {
+  const queue = entries.filter((x) => !x.payload);
+  const failed = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < queue.length) {
+      const entry = queue[next++];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await loadEntryPayload(entry);
+      } catch {
+        failed.push(entry);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(MANIFEST_FETCH_CONCURRENCY, queue.length) }, worker));
+  return failed;
+}
+
+// Full-text search needs every sheet, so the first real query fetches whatever is not loaded yet.
+// Files that already failed are left for the player to retry by selecting them.
+function loadAllForSearch() {
+  const missing = allPayloads.filter((x) => !x.payload && !x.loadError);
+  if (searchLoad || !missing.length) return;
+  setStatus(`Fetching ${missing.length} more character file(s) to search…`);
+  searchLoad = ensurePayloads(missing).then((failed) => {
+    searchLoad = null;
+    setStatus(failed.length ? `${vaultStatus} Not searched: ${failed.map((x) => x.name).join(", ")}.` : vaultStatus);
+    applyGlobalSearch();
+  });
+}
+
+const SEARCH_RESULT_LIMIT = 60;
+
+function collectSearchResults(q) {
+  const results = [];
+  for (const entry of allPayloads) {
+    for (const record of entry.index || []) {
+      const inTitle = norm(record.title).includes(q);
+      if (!inTitle && !norm(record.text).includes(q)) continue;
+      results.push({ entry, record, inTitle });
+    }
+  }
+  // Name hits first, then by character so one sheet's results stay together.
+  return results
+    .sort((a, b) => (b.inTitle - a.inTitle) || safeText(a.entry.name).localeCompare(safeText(b.entry.name)))
+    .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+function renderSearchResults(q) {
+  if (!searchResultsEl) return;
+  searchResultsEl.innerHTML = "";
+  searchResultsEl.hidden = q.length < 2;
+  if (searchResultsEl.hidden) return;
+
+  const results = collectSearchResults(q);
+  const head = document.createElement("div");
+  head.className = "text-xs text-slate-400 px-1";
+  head.textContent = results.length
+    ? `${results.length}${results.length === SEARCH_RESULT_LIMIT ? "+" : ""} match(es) for “${searchEl.value.trim()}”`
+    : `No matches for “${searchEl.value.trim()}” in items, spells, features, effects or biography.`;
+  searchResultsEl.appendChild(head);
+
+  for (const { entry, record } of results) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "w-full text-left rounded-2xl px-3 py-2 hover:bg-white/5 transition";
+    btn.innerHTML = `
+      <div class="flex items-center gap-2 text-xs">
+        <span class="font-medium text-slate-100 truncate">${escapeHtml(entry.name)}</span>
+        <span class="text-slate-500">›</span>
+        <span class="text-indigo-200">${escapeHtml(record.section)}</span>
+        <span class="ml-auto text-slate-300 truncate">${searchSnippetHtml(record.title, q, 30)}</span>
+      </div>
+      ${record.text ? `<div class="text-[11px] text-slate-400 mt-1">${searchSnippetHtml(record.text, q)}</div>` : ""}
+    `;
+    btn.addEventListener("click", () => openSearchResult(entry, record));
+    searchResultsEl.appendChild(btn);
+  }
+}
+
+function openSearchResult(entry, record) {
+  selectActor(entry.id).then((shown) => shown && revealSheetTarget(entry, record.section, record.key));
+}
+
+// Opens (and scrolls to) a section of the open sheet and, optionally, one of its cards. `section` may be the
+// section label or its slug, since makeAnchorId turns both into the same id. Returns false if nothing matched.
+// Highlights the hero tab for a section; sections without a tab of their own leave the tabs as they are.
+function markActiveTab(sectionId) {
+  const tabs = [...sheetEl.querySelectorAll(".tab-button[data-target]")];
+  if (!tabs.some((b) => b.dataset.target === sectionId)) return;
+  tabs.forEach((b) => b.classList.toggle("is-active", b.dataset.target === sectionId));
+}
+
+function openSheetTab(btn) {
+  markActiveTab(btn.dataset.target);
+  const target = document.getElementById(btn.dataset.target);
+  if (target) target.scrollIntoView({ behavior: "smooth", block: "start" });
+  writeRoute({ section: sectionRouteSlug(btn.dataset.target), item: "" });
+}
+
+function revealSheetTarget(entry, section, cardKey) {
+  const prefix = sheetAnchorPrefix(actorFromPayload(entry.payload));
+  const sectionEl = section ? document.getElementById(makeAnchorId(prefix, section)) : null;
+  const scope = sectionEl || (cardKey ? sheetEl : null);
+  if (!scope) {
+    markActiveTab(makeAnchorId(prefix, "Overview"));
+    return false;
+  }
+
+  if (sectionEl) {
+    const [sectionHead, sectionBody] = sectionEl.children;
+    if (sectionBody?.style.display === "none") sectionHead?.click();
+  }
 
-  const payloads = [];
-  for (const entry of manifest) {
-    const file = typeof entry === "string" ? entry : entry?.file;
-    if (!file) continue;
-    // eslint-disable-next-line no-await-in-loop
-    const r = await fetch(cacheBustUrl(file, cacheToken), freshFetchOptions());
-    if (!r.ok) continue;
-    // eslint-disable-next-line no-await-in-loop
-    const payload = await r.json();
-    payloads.push(payload);
+  const card = cardKey
+    ? [...scope.querySelectorAll("[data-card-key]")].find((el) => el.dataset.cardKey === cardKey)
+    : null;
+  const cardHead = card?.querySelector(":scope > button");
+  const cardBody = cardHead?.nextElementSibling;
+  if (cardBody?.style.display === "none") cardHead.click();
+
+  const target = card || sectionEl;
+  if (!target) return false;
+  markActiveTab((sectionEl || card.closest(".vault-section"))?.id);
+  target.scrollIntoView({ behavior: "smooth", block: "start" });
+  if (card) {
+    card.classList.add("ring-2", "ring-amber-300/60");
+    setTimeout(() => card.classList.remove("ring-2", "ring-amber-300/60"), 2000);
   }
-  return payloads;
+  return true;
 }
 
 function applyGlobalSearch() {
   const q = norm(searchEl.value);
-  const filtered = !q ? allPayloads : allPayloads.filter(x => x.corpus.includes(q));
+  const filtered = !q ? allPayloads : allPayloads.filter(x => x.corpus.includes(q) || (x.index || []).some((r) => norm(r.title).includes(q) || norm(r.text).includes(q)));
   paintRoster(filtered);
+  renderSearchResults(q);
+  if (q.length >= 2) loadAllForSearch();
 
   // if selected filtered out, clear
   if (selectedId) {
-    const still = filtered.some(p => (actorFromPayload(p.payload)?._id || p.id) === selectedId);
+    const still = filtered.some(p => p.id === selectedId);
     if (!still) {
       selectedId = null;
       clearSheet();
@@ -3061,38 +5165,202 @@ function applyGlobalSearch() {
   }
 }
 
+// ----------------------------
+// deep links
+// ----------------------------
+// The hash carries the open view so it can be shared and survives reloads and the password gate:
+// #character=goody&section=spells&item=<item id>&q=fire, or #view=party|treasury|compare.
+const ROUTE_KEYS = ["character", "section", "item", "view", "q"];
+const ROUTE_VIEWS = { party: showPartyOverview, treasury: showPartyTreasury, compare: showComparison };
+let applyingRoute = false;
+
+function readRoute() {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+  return Object.fromEntries(ROUTE_KEYS.map((key) => [key, params.get(key) || ""]));
+}
+
+// New characters and views get their own history entry; sections, cards and search edits replace the current one.
+function writeRoute(patch, { push = false } = {}) {
+  if (applyingRoute) return;
+  const route = { ...readRoute(), ...patch };
+  const params = new URLSearchParams();
+  for (const key of ROUTE_KEYS) if (route[key]) params.set(key, route[key]);
+  const hash = params.toString() ? `#${params}` : "";
+  if (hash === window.location.hash) return;
+
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (push && window.location.hash) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
+function routeKey(entry) {
+  return entry.localPreview ? entry.id : slugName(entry.name) || entry.id;
+}
+
+function sectionRouteSlug(anchorId) {
+  const entry = allPayloads.find((x) => x.id === selectedId);
+  const prefix = entry?.payload ? sheetAnchorPrefix(actorFromPayload(entry.payload)) : "";
+  return prefix && safeText(anchorId).startsWith(`${prefix}-`) ? anchorId.slice(prefix.length + 1) : "";
+}
+
+function noteExpandedCardRoute(card, open) {
+  if (!selectedId || !sheetEl.contains(card)) return;
+  const key = card.dataset.cardKey;
+  if (open) writeRoute({ section: sectionRouteSlug(card.closest(".vault-section")?.id), item: key });
+  else if (readRoute().item === key) writeRoute({ item: "" });
+}
+
+// Returns false when the route names nothing that is loaded, so the caller can fall back to a default.
+function applyRoute(route = readRoute(), { rerender = false } = {}) {
+  applyingRoute = true;
+  try {
+    if (searchEl.value.trim() !== route.q) {
+      searchEl.value = route.q;
+      applyGlobalSearch();
+    }
+    if (ROUTE_VIEWS[route.view]) {
+      ROUTE_VIEWS[route.view]();
+      return true;
+    }
+    const entry = route.character ? allPayloads.find((x) => routeKey(x) === route.character || x.id === route.character) : null;
+    if (!entry) return false;
+    // Runs for a bare character route too, so stepping back to it puts the Overview tab back.
+    const reveal = () => {
+      applyingRoute = true;
+      try {
+        revealSheetTarget(entry, route.section, route.item);
+      } finally {
+        applyingRoute = false;
+      }
+    };
+    if (rerender || selectedId !== entry.id) selectActor(entry.id).then((shown) => shown && reveal());
+    else reveal();
+    return true;
+  } finally {
+    applyingRoute = false;
+  }
+}
+
+async function rosterEntryFromPayload(payload) {
+  const actor = actorFromPayload(payload);
+  const id = actor?._id || payload?.id || crypto.randomUUID();
+  const portrait = await resolveLocalPortrait(actor?.name);
+  payload.__portrait = portrait;
+  return {
+    id,
+    name: actor?.name || "Unnamed",
+    exportedAt: payload?.exportedAt || null,
+    payload,
+    meta: getMeta(payload),
+    corpus: extractSearchCorpus(payload),
+    index: buildSearchIndex(payload),
+    portrait
+  };
+}
+
+// Roster entries come straight from the manifest; a snapshot is only fetched when it is needed, and the
+// portrait is filled in by fillEntryPortrait unless an earlier load already has it.
+function rosterEntryFromManifest(item) {
+  const name = safeText(item.name).trim() || item.file.split("/").pop().replace(/\.json$/i, "");
+  const portrait = portraitUrlCache.get(entryPortraitKey({ ...item, name })) || null;
+  return {
+    id: safeText(item.id) || slugName(name) || item.file,
+    name,
+    file: item.file,
+    hash: typeof item.hash === "string" ? item.hash : null,
+    exportedAt: item.exportedAt || null,
+    schemaVersion: item.schemaVersion ?? undefined,
+    history: Array.isArray(item.history) ? item.history : [],
+    hasSummary: "summary" in item,
+    payload: null,
+    meta: summaryMeta({ ...item, type: item.type || "Character" }),
+    corpus: norm([name, item.summary?.classes].filter(Boolean).join(" ")),
+    index: [],
+    portrait
+  };
+}
+
+// On an encrypted vault every portrait is fetched and decrypted, so the roster is drawn first with the crest
+// and each portrait is swapped in as it arrives.
+function fillEntryPortrait(entry, item) {
+  resolveEntryPortrait({ ...item, name: entry.name }).then((url) => {
+    if (!url || url === entry.portrait || !allPayloads.includes(entry)) return;
+    entry.portrait = url;
+    if (entry.payload) entry.payload.__portrait = url;
+    repaintRosterItem(entry);
+    if (selectedId === entry.id) sheetEl.querySelectorAll("img[data-portrait]").forEach((img) => { img.src = url; });
+  });
+}
+
+// Keeps the portraits whose snapshot hash is still in the manifest and lets the rest go.
+function prunePortraitCache(entries) {
+  const keep = new Set(entries.filter((x) => x.hash).map(entryPortraitKey));
+  const inUse = new Set(allPayloads.map((x) => x.portrait));
+  for (const [key, url] of portraitUrlCache) {
+    if (keep.has(key)) continue;
+    portraitUrlCache.delete(key);
+    if (safeText(url).startsWith("blob:") && !inUse.has(url)) URL.revokeObjectURL(url);
+  }
+}
+
+// Also used by Refresh Data: the roster is rebuilt from the new manifest in place, snapshots already in memory
+// are kept when their hash is unchanged, and the open sheet is re-rendered (fetching it again if it changed).
 async function initialise(options = {}) {
   const cacheToken = options.cacheToken || currentCacheBust || STARTUP_CACHE_BUST;
   currentCacheBust = cacheToken;
-  setStatus(options.forceNetwork ? "Forcing a fresh pull from the vault…" : "Opening the vault…");
-  portraitUrlCache.clear();
-  let payloads = [];
+  setStatus(options.refresh ? "Checking the vault for new exports…" : "Opening the vault…");
+  offlineCopyAt = null;
+
+  let manifest = null;
   try {
-    payloads = await loadManifestPayloads(cacheToken);
+    manifest = await loadManifest(cacheToken);
   } catch (e) {
     console.warn(e);
   }
 
-  allPayloads = await Promise.all(payloads.map(async (payload) => {
-    const actor = actorFromPayload(payload);
-    const id = actor?._id || payload?.id || crypto.randomUUID();
-    const portrait = await resolveLocalPortrait(actor?.name);
-    payload.__portrait = portrait;
-    return {
-      id,
-      name: actor?.name || "Unnamed",
-      payload,
-      meta: getMeta(payload),
-      corpus: extractSearchCorpus(payload),
-      portrait
-    };
-  }));
-  allPayloads.sort((a,b)=> safeText(a.name).localeCompare(safeText(b.name)));
+  // A failed manifest keeps what was shown.
+  let updated = 0;
+  let entries = [];
+  if (manifest) {
+    const previous = new Map(allPayloads.filter((x) => !x.localPreview).map((x) => [x.id, x]));
+    entries = manifest.map(rosterEntryFromManifest);
+    for (const entry of entries) {
+      const old = previous.get(entry.id);
+      if (old?.payload && entry.hash && old.hash === entry.hash) {
+        Object.assign(entry, { payload: old.payload, meta: old.meta, corpus: old.corpus, index: old.index });
+        entry.payload.__history = entry.history;
+        entry.payload.__portrait = entry.portrait;
+      } else if (!old || old.hash !== entry.hash) {
+        updated += 1;
+      }
+    }
+    allPayloads = allPayloads.filter((x) => x.localPreview).concat(entries);
+    allPayloads.sort((a,b)=> safeText(a.name).localeCompare(safeText(b.name)));
+    prunePortraitCache(entries);
+  }
 
-  paintRoster(allPayloads);
-  updateLastSynced(payloads);
-  setStatus(allPayloads.length ? `${allPayloads.length} character(s) loaded from Foundry.` : "No data loaded.");
-  if (allPayloads.length && !selectedId) selectActor(allPayloads[0].id);
+  const deployed = allPayloads.filter((x) => !x.localPreview);
+  updateLastSynced(deployed);
+  const identity = vaultIdentity();
+  const signedIn = identity?.name ? ` Signed in as ${identity.name}${identity.role === "gm" ? " (GM)" : ""}.` : "";
+  const offline = offlineCopyAt ? " Showing the offline copy." : "";
+  const unchanged = options.refresh && manifest ? ` ${updated} updated, ${deployed.length - updated} unchanged.` : "";
+  vaultStatus = deployed.length ? `${deployed.length} character(s) in the vault.${unchanged}${offline}${signedIn}` : `No data loaded.${signedIn}`;
+  setStatus(vaultStatus);
+  applyGlobalSearch();
+  entries.forEach((entry, i) => fillEntryPortrait(entry, manifest[i]));
+
+  // A manifest built before roster summaries has nothing to show until each snapshot arrives.
+  const unsummarised = deployed.filter((x) => !x.hasSummary && !x.payload);
+  if (unsummarised.length) ensurePayloads(unsummarised).then(() => applyGlobalSearch());
+
+  // Re-render the open sheet so a refresh shows the new snapshot; the party views are left as they are.
+  const selected = selectedId && allPayloads.some((x) => x.id === selectedId) ? selectedId : null;
+  if (selected) {
+    if (!applyRoute(readRoute(), { rerender: true })) selectActor(selected);
+  } else if (!options.refresh && !applyRoute() && allPayloads.length) {
+    selectActor(allPayloads[0].id);
+  }
 }
 
 // ----------------------------
@@ -3100,20 +5368,38 @@ async function initialise(options = {}) {
 // ----------------------------
 refreshBtn.addEventListener("click", async () => {
   const token = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-  setStatus("Clearing local browser caches…");
   refreshBtn.disabled = true;
   refreshBtn.classList.add("opacity-70", "cursor-wait");
-
-  await clearBrowserCaches();
-
-  const url = new URL(window.location.href);
-  url.searchParams.set("vaultRefresh", token);
-
-  // Reload the whole app through a unique URL so GitHub Pages/browser caches cannot
-  // hand back stale HTML, JS, manifest, actor JSON, or portrait files.
-  window.location.replace(url.toString());
+  try {
+    await initialise({ cacheToken: token, refresh: true });
+  } finally {
+    refreshBtn.disabled = false;
+    refreshBtn.classList.remove("opacity-70", "cursor-wait");
+  }
+});
+searchEl.addEventListener("input", () => {
+  applyGlobalSearch();
+  writeRoute({ q: searchEl.value.trim() });
+});
+window.addEventListener("popstate", () => applyRoute());
+document.addEventListener("dragover", (e) => {
+  if (!dragHasFiles(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+  document.body.classList.add("vault-dropping");
+});
+document.addEventListener("dragleave", (e) => {
+  if (!e.relatedTarget) document.body.classList.remove("vault-dropping");
+});
+document.addEventListener("drop", (e) => {
+  if (!dragHasFiles(e)) return;
+  e.preventDefault();
+  document.body.classList.remove("vault-dropping");
+  importLocalPreviews([...e.dataTransfer.files]);
 });
-searchEl.addEventListener("input", applyGlobalSearch);
+partyOverviewBtn?.addEventListener("click", showPartyOverview);
+partyTreasuryBtn?.addEventListener("click", showPartyTreasury);
+compareBtn?.addEventListener("click", showComparison);
 
 initialise({ cacheToken: STARTUP_CACHE_BUST });
 
@@ -1,6 +1,20 @@
 const SESSION_KEY = "waterdeep-vault-auth";
+const LEGACY_DATA_KEY_SESSION_KEY = "waterdeep-vault-data-key"; // raw keys stored by older builds, now only cleared
+const THROTTLE_KEY = "waterdeep-vault-throttle";
+const OFFLINE_DB_NAME = "waterdeep-vault-offline"; // must match sw.js and app.js
+const OFFLINE_CACHE_PREFIX = "waterdeep-vault-shell-";
+const DEFAULT_SESSION_MINUTES = 12 * 60;
+const BASE_RETRY_DELAY_MS = 650;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const FREE_ATTEMPTS = 3;
 const PBKDF2_PATTERN = /^pbkdf2-sha256\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
 const BCRYPT_PATTERN = /^\$2[aby]\$(0[4-9]|[12]\d|3[01])\$[./A-Za-z0-9]{53}$/;
+const SCRYPT_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+const ARGON2ID_PATTERN = /^\$argon2id\$v=19\$m=(\d+),t=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+const HASH_WASM_SCRIPTS = {
+  scrypt: "./vendor/hash-wasm/scrypt.umd.min.js",
+  argon2id: "./vendor/hash-wasm/argon2.umd.min.js"
+};
 
 const gateEl = document.querySelector("#vault-gate");
 const appEl = document.querySelector("#vault-app");
@@ -8,6 +22,7 @@ const formEl = document.querySelector("#vault-gate-form");
 const passwordEl = document.querySelector("#vault-password");
 const unlockEl = document.querySelector("#vault-unlock");
 const statusEl = document.querySelector("#vault-gate-status");
+const lockEl = document.querySelector("#lockVault");
 
 function setStatus(message, isError = false) {
   statusEl.textContent = message;
@@ -28,12 +43,7 @@ function equalBytes(left, right) {
   return difference === 0;
 }
 
-function readVerifier() {
-  if (!window.VAULT_CONFIG_LOADED) {
-    throw new Error("Password configuration was not found.");
-  }
-
-  const verifier = window.VAULT_AUTH?.passwordVerifier;
+function parseVerifier(verifier) {
   const pbkdf2Match = typeof verifier === "string" ? verifier.match(PBKDF2_PATTERN) : null;
   if (pbkdf2Match) {
     const iterations = Number(pbkdf2Match[1]);
@@ -50,6 +60,39 @@ function readVerifier() {
     };
   }
 
+  const scryptMatch = typeof verifier === "string" ? verifier.match(SCRYPT_PATTERN) : null;
+  if (scryptMatch) {
+    const [costFactor, blockSize, parallelism] = scryptMatch.slice(1, 4).map(Number);
+    const isPowerOfTwo = Number.isSafeInteger(costFactor) && (costFactor & (costFactor - 1)) === 0;
+    if (!isPowerOfTwo || costFactor < 2 ** 15 || blockSize < 8 || parallelism < 1 || parallelism > 16
+      || 128 * costFactor * blockSize > 2 ** 30) {
+      throw new Error("Password configuration uses unsafe scrypt parameters.");
+    }
+
+    return {
+      algorithm: "scrypt",
+      raw: verifier,
+      costFactor,
+      blockSize,
+      parallelism,
+      salt: decodeBase64(scryptMatch[4]),
+      expected: decodeBase64(scryptMatch[5])
+    };
+  }
+
+  const argon2Match = typeof verifier === "string" ? verifier.match(ARGON2ID_PATTERN) : null;
+  if (argon2Match) {
+    const [memorySize, iterations, parallelism] = argon2Match.slice(1, 4).map(Number);
+    if (memorySize < 19_456 || memorySize > 1_048_576 || iterations < 2 || parallelism < 1 || parallelism > 16) {
+      throw new Error("Password configuration uses unsafe Argon2id parameters.");
+    }
+
+    return {
+      algorithm: "argon2id",
+      raw: verifier
+    };
+  }
+
   if (typeof verifier === "string" && BCRYPT_PATTERN.test(verifier)) {
     return {
       algorithm: "bcrypt",
@@ -60,6 +103,126 @@ function readVerifier() {
   throw new Error("Password configuration is missing or invalid.");
 }
 
+function parseDataKeyParams(params) {
+  if (!params) return null;
+
+  const iterations = Number(params.iterations);
+  if (!Number.isSafeInteger(iterations) || iterations < 100_000 || typeof params.salt !== "string") {
+    throw new Error("Data encryption configuration is invalid.");
+  }
+  return {
+    iterations,
+    salt: decodeBase64(params.salt),
+    wrapped: typeof params.wrapped === "string" ? decodeBase64(params.wrapped) : null
+  };
+}
+
+// Verifier lists carry an optional expiry; anything unparseable counts as already expired.
+function isExpired(expires) {
+  if (!expires) return false;
+  const time = Date.parse(expires);
+  return !Number.isFinite(time) || time <= Date.now();
+}
+
+// A single VAULT_PASSWORD_HASH, or each still-valid entry of a verifier list, behaves as an unnamed GM account.
+function readAccounts() {
+  if (!window.VAULT_CONFIG_LOADED) {
+    throw new Error("Password configuration was not found.");
+  }
+
+  const config = window.VAULT_AUTH || {};
+  if (Array.isArray(config.accounts)) {
+    if (!config.accounts.length) throw new Error("Password configuration lists no accounts.");
+    return config.accounts.map((account) => ({
+      name: String(account?.name || ""),
+      role: account?.role === "gm" ? "gm" : "player",
+      characters: Array.isArray(account?.characters) ? account.characters.map(String) : [],
+      verifier: parseVerifier(account?.passwordVerifier),
+      dataKeyParams: parseDataKeyParams(account?.dataKey)
+    }));
+  }
+
+  if (Array.isArray(config.passwordVerifiers)) {
+    const active = config.passwordVerifiers.filter((entry) => !isExpired(entry?.expires));
+    if (!active.length) throw new Error("Every configured password has expired.");
+    return active.map((entry) => ({
+      name: "",
+      label: String(entry.label || ""),
+      role: "gm",
+      characters: [],
+      verifier: parseVerifier(entry.passwordVerifier),
+      dataKeyParams: parseDataKeyParams(entry.dataKey),
+      expiresAt: entry.expires ? Date.parse(entry.expires) : null
+    }));
+  }
+
+  return [{
+    name: "",
+    role: "gm",
+    characters: [],
+    verifier: parseVerifier(config.passwordVerifier),
+    dataKeyParams: parseDataKeyParams(config.dataKey)
+  }];
+}
+
+// Mirrors the VAULT_DATA_KEY derivation in tools/hash-password.mjs; per-account keys unwrap the shared one.
+// The key is non-extractable and never leaves memory, so reading storage is not enough to decrypt the vault.
+async function deriveDataKey(password, params) {
+  const passwordKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  const derived = await crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: params.salt,
+      iterations: params.iterations
+    },
+    passwordKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["decrypt"]
+  );
+  if (!params.wrapped) return derived;
+
+  const raw = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: params.wrapped.subarray(0, 12) },
+    derived,
+    params.wrapped.subarray(12)
+  );
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["decrypt"]);
+}
+
+async function findAccount(password, accounts) {
+  for (const account of accounts) {
+    // eslint-disable-next-line no-await-in-loop
+    if (await verifyPassword(password, account.verifier)) return account;
+  }
+  return null;
+}
+
+// The hash-wasm builds are only fetched when a configured verifier needs them.
+const hashWasmLoads = new Map();
+function loadHashWasm(algorithm) {
+  if (!hashWasmLoads.has(algorithm)) {
+    hashWasmLoads.set(algorithm, new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = HASH_WASM_SCRIPTS[algorithm];
+      script.onload = () => resolve(window.hashwasm);
+      script.onerror = () => {
+        hashWasmLoads.delete(algorithm);
+        reject(new Error(`The ${algorithm} verifier failed to load.`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return hashWasmLoads.get(algorithm);
+}
+
 async function verifyPassword(password, verifier) {
   if (verifier.algorithm === "bcrypt") {
     if (typeof window.bcrypt?.compare !== "function") {
@@ -68,6 +231,25 @@ async function verifyPassword(password, verifier) {
     return window.bcrypt.compare(password, verifier.raw);
   }
 
+  if (verifier.algorithm === "scrypt") {
+    const hashwasm = await loadHashWasm("scrypt");
+    const digest = await hashwasm.scrypt({
+      password,
+      salt: verifier.salt,
+      costFactor: verifier.costFactor,
+      blockSize: verifier.blockSize,
+      parallelism: verifier.parallelism,
+      hashLength: verifier.expected.length,
+      outputType: "binary"
+    });
+    return equalBytes(digest, verifier.expected);
+  }
+
+  if (verifier.algorithm === "argon2id") {
+    const hashwasm = await loadHashWasm("argon2id");
+    return hashwasm.argon2Verify({ password, hash: verifier.raw });
+  }
+
   const passwordKey = await crypto.subtle.importKey(
     "raw",
     new TextEncoder().encode(password),
@@ -88,20 +270,142 @@ async function verifyPassword(password, verifier) {
   return equalBytes(new Uint8Array(bits), verifier.expected);
 }
 
-async function openVault(verifier) {
+async function openVault(account, dataKey = null) {
+  // app.js reads the key and identity while loading the manifest, so both must be in place before the import.
+  window.VAULT_DATA_KEY = dataKey;
+  window.VAULT_IDENTITY = { name: account.name, role: account.role, characters: account.characters };
   const cacheBust = window.VAULT_CACHE_BUST || Date.now().toString(36);
   await import(`./app.js?v=${encodeURIComponent(cacheBust)}`);
 
+  const session = readSession();
+  const startedAt = session?.verifier === account.verifier.raw ? session.startedAt : Date.now();
   try {
-    sessionStorage.setItem(SESSION_KEY, verifier.raw);
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({ verifier: account.verifier.raw, startedAt }));
   } catch {}
 
+  scheduleSessionExpiry(startedAt, account.expiresAt);
+  lockEl?.addEventListener("click", lockVault);
+
   gateEl.hidden = true;
   appEl.removeAttribute("inert");
   appEl.setAttribute("aria-hidden", "false");
   document.body.classList.remove("vault-locked");
 }
 
+function sessionLifetimeMs() {
+  const minutes = Number(window.VAULT_AUTH?.sessionMinutes);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_SESSION_MINUTES) * 60 * 1000;
+}
+
+// Sessions are stored as { verifier, startedAt }; anything older than the lifetime (or in the old bare format) is dropped.
+function readSession() {
+  let session = null;
+  try {
+    session = JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null");
+  } catch {}
+  const startedAt = Number(session?.startedAt);
+  if (typeof session?.verifier !== "string" || !Number.isFinite(startedAt)) return null;
+  if (Date.now() - startedAt >= sessionLifetimeMs()) {
+    clearSession();
+    return null;
+  }
+  return { verifier: session.verifier, startedAt };
+}
+
+function clearSession() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(LEGACY_DATA_KEY_SESSION_KEY);
+  } catch {}
+}
+
+// The offline copies (sw.js and app.js share the IndexedDB store) and the cached app shell go too, so a
+// locked shared device keeps nothing from the vault. A blocked delete must not keep the vault open.
+async function clearOfflineCopies() {
+  const deleteDb = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve();
+    const request = indexedDB.deleteDatabase(OFFLINE_DB_NAME);
+    request.onsuccess = request.onerror = request.onblocked = () => resolve();
+  });
+  const deleteCaches = typeof caches === "undefined"
+    ? Promise.resolve()
+    : caches.keys().then((keys) => Promise.all(keys.filter((key) => key.startsWith(OFFLINE_CACHE_PREFIX)).map((key) => caches.delete(key))));
+  const timeout = new Promise((resolve) => setTimeout(resolve, 3000));
+  await Promise.race([Promise.all([deleteDb, deleteCaches]).catch(() => {}), timeout]);
+}
+
+async function lockVault() {
+  clearSession();
+  await clearOfflineCopies();
+  window.location.reload();
+}
+
+// A session also ends when the verifier it was opened with reaches its expiry.
+function scheduleSessionExpiry(startedAt, expiresAt = null) {
+  const endsAt = Math.min(startedAt + sessionLifetimeMs(), expiresAt ?? Infinity);
+  const remaining = endsAt - Date.now();
+  // setTimeout overflows past ~24.8 days; a lifetime that long is never reached in one tab anyway.
+  if (remaining < 2 ** 31) setTimeout(lockVault, Math.max(0, remaining));
+}
+
+// Failed attempts live in localStorage so a reload does not reset the backoff.
+function readThrottle() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THROTTLE_KEY) || "null");
+    return {
+      failures: Math.max(0, Number(saved?.failures) || 0),
+      lockedUntil: Number(saved?.lockedUntil) || 0
+    };
+  } catch {
+    return { failures: 0, lockedUntil: 0 };
+  }
+}
+
+function writeThrottle(throttle) {
+  try {
+    if (throttle) localStorage.setItem(THROTTLE_KEY, JSON.stringify(throttle));
+    else localStorage.removeItem(THROTTLE_KEY);
+  } catch {}
+}
+
+function recordFailure() {
+  const failures = readThrottle().failures + 1;
+  const doublings = Math.max(0, failures - FREE_ATTEMPTS);
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** doublings, MAX_RETRY_DELAY_MS);
+  const throttle = { failures, lockedUntil: Date.now() + delay };
+  writeThrottle(throttle);
+  return throttle;
+}
+
+function waitForThrottle(message) {
+  const { lockedUntil } = readThrottle();
+  const remaining = lockedUntil - Date.now();
+  if (remaining <= 0) return Promise.resolve();
+
+  passwordEl.disabled = true;
+  unlockEl.disabled = true;
+  unlockEl.classList.add("opacity-70", "cursor-wait");
+  return new Promise((resolve) => {
+    const tick = () => {
+      const left = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (left <= 0) {
+        resolve();
+        return;
+      }
+      if (left > 1) setStatus(`${message} Try again in ${left}s.`, true);
+      setTimeout(tick, Math.min(1000, lockedUntil - Date.now()));
+    };
+    tick();
+  });
+}
+
+function enableGate() {
+  passwordEl.disabled = false;
+  unlockEl.disabled = false;
+  unlockEl.classList.remove("opacity-70", "cursor-wait");
+  passwordEl.focus();
+}
+
 function disableGate(message) {
   passwordEl.disabled = true;
   unlockEl.disabled = true;
@@ -109,29 +413,35 @@ function disableGate(message) {
   setStatus(message, true);
 }
 
-let verifier;
+let accounts;
 try {
-  verifier = readVerifier();
+  accounts = readAccounts();
 } catch (error) {
   console.error(error);
   disableGate("The vault password has not been configured. Ask the vault keeper for help.");
 }
 
-if (verifier) {
-  let savedVerifier = "";
+if (accounts) {
   try {
-    savedVerifier = sessionStorage.getItem(SESSION_KEY) || "";
+    sessionStorage.removeItem(LEGACY_DATA_KEY_SESSION_KEY);
   } catch {}
+  const savedVerifier = readSession()?.verifier || "";
+  const savedAccount = accounts.find((account) => account.verifier.raw === savedVerifier) || null;
 
-  if (savedVerifier === verifier.raw) {
+  // Without the password there is no data key, so an encrypted vault always asks again after a reload.
+  if (savedAccount && !savedAccount.dataKeyParams) {
     setStatus("Restoring this session\u2026");
-    openVault(verifier).catch((error) => {
+    openVault(savedAccount).catch((error) => {
       console.error(error);
       disableGate("The vault could not be opened. Please reload and try again.");
     });
   } else {
     setStatus("");
     passwordEl.focus();
+    waitForThrottle("Too many failed attempts.").then(() => {
+      setStatus("");
+      enableGate();
+    });
 
     formEl.addEventListener("submit", async (event) => {
       event.preventDefault();
@@ -143,9 +453,11 @@ if (verifier) {
       unlockEl.classList.add("opacity-70", "cursor-wait");
       setStatus("Testing the wards\u2026");
 
-      let accepted = false;
+      let account = null;
+      let dataKey = null;
       try {
-        accepted = await verifyPassword(password, verifier);
+        account = await findAccount(password, accounts);
+        if (account?.dataKeyParams) dataKey = await deriveDataKey(password, account.dataKeyParams);
       } catch (error) {
         console.error(error);
         disableGate("This browser could not verify the password.");
@@ -153,10 +465,11 @@ if (verifier) {
       }
 
       passwordEl.value = "";
-      if (accepted) {
+      if (account) {
+        writeThrottle(null);
         setStatus("The vault opens\u2026");
         try {
-          await openVault(verifier);
+          await openVault(account, dataKey);
         } catch (error) {
           console.error(error);
           disableGate("The vault could not be opened. Please reload and try again.");
@@ -164,12 +477,10 @@ if (verifier) {
         return;
       }
 
-      await new Promise((resolve) => setTimeout(resolve, 650));
-      passwordEl.disabled = false;
-      unlockEl.disabled = false;
-      unlockEl.classList.remove("opacity-70", "cursor-wait");
+      recordFailure();
+      await waitForThrottle("That password did not open the vault.");
       setStatus("That password did not open the vault.", true);
-      passwordEl.focus();
+      enableGate();
     });
   }
 }
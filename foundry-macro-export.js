@@ -1,6 +1,9 @@
-// Foundry Macro (Script) – Manual one-push export of all PC character Actors.
+// Foundry Macro (Script) – Manual one-push export of PC character Actors.
 // Paste into a *Script* macro and run as GM.
-// Output: downloads one JSON file per character.
+// A dialog lets you pick actors (by hand, folder or owner), add player-owned NPC companions,
+// choose which module flags survive, and preview what the prune pass removes.
+// Output: downloads one vault-export-<date>.json bundle holding every chosen actor and a manifest.
+//         Unpack it with: node tools/build-manifest.mjs data/actors data/manifest.json --bundle <file>
 //
 // Notes:
 // - This is intentionally light: no persistent listeners, no background churn.
@@ -14,35 +17,85 @@
   }
 
   const SYSTEM_ID = game.system.id;
+  const SYSTEM_VERSION = game.system.version || "unknown";
   const FOUNDry_VERSION = game.version || game.release?.version || "unknown";
   const exportedAt = new Date().toISOString();
 
-  // ---- configuration knobs (tweak if you like) ----
-  const ONLY_PC_CHARACTERS = true; // require hasPlayerOwner
-  const STRIP_FLAGS = true;        // removes flags from actor + items
+  // ---- dialog defaults (tweak if you like) ----
+  const ONLY_PC_CHARACTERS = true; // pre-tick only characters with a player owner
+  const KEEP_FLAG_SCOPES = ["dnd5e", "ActiveAuras"]; // flags the viewer reads; every other scope is stripped
   const PRUNE_KEYS_REGEX = /(gm|secret|private|hidden|password|tokenSecret|gmnotes)/i;
+  const BUNDLE_FORMAT = "waterdeep-vault-bundle"; // must match tools/build-manifest.mjs
+  const SCHEMA_VERSION = 1; // bump with tools/build-manifest.mjs and app.js whenever the payload shape changes
+  const INCLUDE_IMAGES = true;     // embeds actor portrait + token art so the static site can show them
+  const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+  const PRUNE_PREVIEW_LIMIT = 200;
+  // Only formats the viewer probes for in data/portraits (SVG placeholders such as mystery-man are skipped).
+  const IMAGE_TYPES = { "image/webp": "webp", "image/png": "png", "image/jpeg": "jpg", "image/avif": "avif" };
 
-  const pcs = game.actors.filter(a => a.type === "character")
-    .filter(a => !ONLY_PC_CHARACTERS || a.hasPlayerOwner);
-
-  if (!pcs.length) {
-    ui.notifications.warn("No PC character actors found.");
+  // Characters, plus NPCs a player owns (companions, familiars, summons); the GM's own NPCs are never offered.
+  const candidates = game.actors.filter(a => a.type === "character" || a.hasPlayerOwner);
+  if (!candidates.length) {
+    ui.notifications.warn("No character actors found.");
     return;
   }
 
-  function prune(obj) {
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function actorOwners(actor) {
+    return game.users.filter(u => !u.isGM && actor.testUserPermission(u, "OWNER"));
+  }
+
+  function isCompanion(actor) {
+    return actor.type !== "character";
+  }
+
+  // Scopes from the actor, its items and every active effect, so the dialog can offer each one.
+  function flagScopes(actors) {
+    const scopes = new Set();
+    const add = (doc) => Object.keys(doc?.flags || {}).forEach(scope => scopes.add(scope));
+    for (const actor of actors) {
+      add(actor);
+      for (const effect of actor.effects) add(effect);
+      for (const item of actor.items) {
+        add(item);
+        for (const effect of item.effects) add(effect);
+      }
+    }
+    return [...scopes].sort((a, b) => a.localeCompare(b));
+  }
+
+  function keepFlags(doc, keep) {
+    if (!doc || typeof doc !== "object") return;
+    const kept = Object.fromEntries(Object.entries(doc.flags || {}).filter(([scope]) => keep.has(scope)));
+    if (Object.keys(kept).length) doc.flags = kept;
+    else delete doc.flags;
+  }
+
+  // `removed` (optional) collects the dotted paths dropped, with array indices folded to [].
+  function prune(obj, pattern, removed = null, path = "") {
     if (!obj || typeof obj !== "object") return obj;
-    if (Array.isArray(obj)) return obj.map(prune);
+    if (Array.isArray(obj)) return obj.map(v => prune(v, pattern, removed, `${path}[]`));
 
     const out = {};
     for (const [k, v] of Object.entries(obj)) {
-      if (PRUNE_KEYS_REGEX.test(k)) continue;
-      out[k] = prune(v);
+      const keyPath = path ? `${path}.${k}` : k;
+      if (pattern.test(k)) {
+        removed?.set(keyPath, (removed.get(keyPath) || 0) + 1);
+        continue;
+      }
+      out[k] = prune(v, pattern, removed, keyPath);
     }
     return out;
   }
 
-  function sanitiseActor(actor) {
+  function sanitiseActor(actor, options, removed = null) {
     // toObject() yields a plain serialisable structure; safer than poking at internals
     let a = actor.toObject();
 
@@ -53,29 +106,171 @@
     delete a.sort;
     delete a._stats;
 
-    if (STRIP_FLAGS) delete a.flags;
+    keepFlags(a, options.keepFlags);
+    for (const effect of a.effects || []) keepFlags(effect, options.keepFlags);
 
     // Items: strip heavy/noisy bits, plus obvious GM-only notes
     if (Array.isArray(a.items)) {
       a.items = a.items.map(it => {
         const copy = structuredClone(it);
         delete copy._stats;
-        if (STRIP_FLAGS) delete copy.flags;
-        return prune(copy);
+        keepFlags(copy, options.keepFlags);
+        for (const effect of copy.effects || []) keepFlags(effect, options.keepFlags);
+        return copy;
       });
     }
 
     // Actor system data can include GM-only fields; prune pass is conservative
-    a = prune(a);
+    a = prune(a, options.prunePattern, removed);
 
     return {
+      schemaVersion: SCHEMA_VERSION,
       exportedAt,
       systemId: SYSTEM_ID,
+      systemVersion: SYSTEM_VERSION,
       foundryVersion: FOUNDry_VERSION,
+      // Values Foundry derives at runtime and toObject() leaves out; build-manifest puts them in the roster summary.
+      derived: {
+        ac: actor.system?.attributes?.ac?.value ?? null,
+        // effectiveMax adds temporary max HP, as the sheet's HP bar does.
+        hpMax: actor.system?.attributes?.hp?.effectiveMax ?? actor.system?.attributes?.hp?.max ?? null
+      },
       actor: a
     };
   }
 
+  function dialogContent() {
+    const folders = [...new Map(candidates.filter(a => a.folder).map(a => [a.folder.id, a.folder.name])).entries()];
+    const owners = [...new Map(candidates.flatMap(actorOwners).map(u => [u.id, u.name])).entries()];
+    const scopes = flagScopes(candidates);
+    const rows = candidates.map(actor => {
+      const checked = !isCompanion(actor) && (!ONLY_PC_CHARACTERS || actor.hasPlayerOwner);
+      const ownerNames = actorOwners(actor).map(u => u.name).join(", ") || "GM only";
+      return `
+        <label style="display:flex; gap:0.5em; align-items:center;">
+          <input type="checkbox" name="actor" value="${actor.id}" ${checked ? "checked" : ""}
+            data-folder="${actor.folder?.id || ""}" data-owners="${actorOwners(actor).map(u => u.id).join(" ")}"
+            data-companion="${isCompanion(actor) ? "1" : ""}">
+          <span style="flex:1;">${escapeHtml(actor.name)}${isCompanion(actor) ? ` <em>(${escapeHtml(actor.type)})</em>` : ""}</span>
+          <span style="opacity:0.7; font-size:0.85em;">${escapeHtml(actor.folder?.name || "No folder")} · ${escapeHtml(ownerNames)}</span>
+        </label>`;
+    }).join("");
+    const option = ([id, name]) => `<option value="${id}">${escapeHtml(name)}</option>`;
+
+    return `
+      <fieldset>
+        <legend>Actors</legend>
+        <div style="display:flex; gap:0.5em; margin-bottom:0.5em;">
+          <select name="byFolder"><option value="">Tick a folder…</option>${folders.map(option).join("")}</select>
+          <select name="byOwner"><option value="">Tick an owner's actors…</option>${owners.map(option).join("")}</select>
+          <button type="button" data-action="clear" style="flex:0 0 auto; width:auto;">Clear</button>
+        </div>
+        <div style="max-height:14em; overflow:auto;">${rows}</div>
+        <label><input type="checkbox" name="companions"> Include NPC companions and familiars owned by players</label>
+      </fieldset>
+      <fieldset>
+        <legend>Flags to keep</legend>
+        ${scopes.length ? scopes.map(scope => `
+          <label style="display:inline-flex; gap:0.3em; margin-right:1em;">
+            <input type="checkbox" name="flag" value="${escapeHtml(scope)}" ${KEEP_FLAG_SCOPES.includes(scope) ? "checked" : ""}> ${escapeHtml(scope)}
+          </label>`).join("") : "<p>No flags found on these actors.</p>"}
+      </fieldset>
+      <fieldset>
+        <legend>Prune pass</legend>
+        <label>Remove keys matching <input type="text" name="prune" value="${escapeHtml(PRUNE_KEYS_REGEX.source)}"></label>
+        <button type="button" data-action="preview">Preview removed keys</button>
+        <div data-role="prune-preview" style="max-height:10em; overflow:auto; font-family:monospace; font-size:0.8em;"></div>
+      </fieldset>
+      <label><input type="checkbox" name="images" ${INCLUDE_IMAGES ? "checked" : ""}> Include portrait and token art</label>
+    `;
+  }
+
+  function readOptions(form) {
+    const actorIds = [...form.querySelectorAll("input[name='actor']:checked")].map(el => el.value);
+    let prunePattern;
+    try {
+      prunePattern = new RegExp(form.querySelector("input[name='prune']").value || "(?!)", "i");
+    } catch (err) {
+      return { error: `The prune pattern is not a valid regular expression: ${err.message}` };
+    }
+    return {
+      actors: actorIds.map(id => game.actors.get(id)).filter(Boolean),
+      keepFlags: new Set([...form.querySelectorAll("input[name='flag']:checked")].map(el => el.value)),
+      prunePattern,
+      includeImages: form.querySelector("input[name='images']").checked
+    };
+  }
+
+  function wireDialog(root) {
+    const form = root.querySelector("form") || root;
+    const actorBoxes = [...form.querySelectorAll("input[name='actor']")];
+    const tick = (match) => actorBoxes.filter(match).forEach(el => { el.checked = true; });
+
+    form.querySelector("select[name='byFolder']").addEventListener("change", (event) => {
+      const folder = event.target.value;
+      if (folder) tick(el => el.dataset.folder === folder && (!el.dataset.companion || form.querySelector("input[name='companions']").checked));
+      event.target.value = "";
+    });
+    form.querySelector("select[name='byOwner']").addEventListener("change", (event) => {
+      const owner = event.target.value;
+      if (owner) tick(el => el.dataset.owners.split(" ").includes(owner) && (!el.dataset.companion || form.querySelector("input[name='companions']").checked));
+      event.target.value = "";
+    });
+    form.querySelector("[data-action='clear']").addEventListener("click", () => actorBoxes.forEach(el => { el.checked = false; }));
+    form.querySelector("input[name='companions']").addEventListener("change", (event) => {
+      actorBoxes.filter(el => el.dataset.companion).forEach(el => { el.checked = event.target.checked; });
+    });
+
+    const preview = form.querySelector("[data-role='prune-preview']");
+    form.querySelector("[data-action='preview']").addEventListener("click", () => {
+      const options = readOptions(form);
+      if (options.error) {
+        preview.textContent = options.error;
+        return;
+      }
+      const removed = new Map();
+      for (const actor of options.actors) sanitiseActor(actor, options, removed);
+      const paths = [...removed.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+      preview.innerHTML = paths.length
+        ? paths.slice(0, PRUNE_PREVIEW_LIMIT).map(([p, n]) => `<div>${escapeHtml(p)}${n > 1 ? ` ×${n}` : ""}</div>`).join("")
+          + (paths.length > PRUNE_PREVIEW_LIMIT ? `<div>…and ${paths.length - PRUNE_PREVIEW_LIMIT} more</div>` : "")
+        : "<div>Nothing matches; no keys would be removed.</div>";
+    });
+  }
+
+  // DialogV2 where the core has it (v12+), the classic Dialog otherwise. Resolves to null on cancel.
+  function askOptions() {
+    const title = "Export to Character Vault";
+    const content = dialogContent();
+    const DialogV2 = foundry.applications?.api?.DialogV2;
+    if (DialogV2) {
+      return DialogV2.wait({
+        window: { title },
+        position: { width: 620 },
+        content,
+        rejectClose: false,
+        render: (event, dialog) => wireDialog(dialog.element ?? dialog),
+        buttons: [
+          { action: "export", label: "Export", default: true, callback: (event, button) => readOptions(button.form) },
+          { action: "cancel", label: "Cancel", callback: () => null }
+        ]
+      });
+    }
+    return new Promise((resolve) => {
+      new Dialog({
+        title,
+        content: `<form>${content}</form>`,
+        render: (html) => wireDialog(html[0] ?? html),
+        buttons: {
+          export: { label: "Export", callback: (html) => resolve(readOptions((html[0] ?? html).querySelector("form"))) },
+          cancel: { label: "Cancel", callback: () => resolve(null) }
+        },
+        default: "export",
+        close: () => resolve(null)
+      }, { width: 620 }).render(true);
+    });
+  }
+
   function slugify(name) {
     return (name || "actor")
       .toString()
@@ -86,6 +281,31 @@
       .slice(0, 64) || "actor";
   }
 
+  function readAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Foundry paths are relative to this server, which the static site cannot reach, so the bytes travel in the bundle.
+  async function fetchImage(src) {
+    if (!src) return null;
+    try {
+      const res = await fetch(src);
+      if (!res.ok) return null;
+      const blob = await res.blob();
+      const ext = IMAGE_TYPES[blob.type];
+      if (!ext || blob.size > MAX_IMAGE_BYTES) return null;
+      return { src, ext, data: await readAsBase64(blob) };
+    } catch (err) {
+      console.warn(`Could not fetch ${src}`, err);
+      return null;
+    }
+  }
+
   function downloadJSON(filename, data) {
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
@@ -98,16 +318,42 @@
     setTimeout(() => URL.revokeObjectURL(url), 5000);
   }
 
-  ui.notifications.info(`Exporting ${pcs.length} PC(s)…`);
+  const options = await askOptions();
+  if (!options) return;
+  if (options.error) {
+    ui.notifications.error(options.error);
+    return;
+  }
+  if (!options.actors.length) {
+    ui.notifications.warn("No actors were selected, so nothing was exported.");
+    return;
+  }
 
-  for (const actor of pcs) {
-    const payload = sanitiseActor(actor);
-    const filename = `${slugify(actor.name)}.json`;
-    downloadJSON(filename, payload);
+  ui.notifications.info(`Exporting ${options.actors.length} actor(s)…`);
 
-    // tiny delay prevents some browsers from “eating” rapid-fire downloads
-    await new Promise(r => setTimeout(r, 200));
+  // One download for the whole party: browsers drop rapid-fire downloads, however they are spaced out.
+  const files = [];
+  const taken = new Set();
+  for (const actor of options.actors) {
+    const base = slugify(actor.name);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n += 1) slug = `${base}-${n}`;
+    taken.add(slug);
+    const images = options.includeImages
+      ? { portrait: await fetchImage(actor.img), token: await fetchImage(actor.prototypeToken?.texture?.src) }
+      : {};
+    files.push({ file: `${slug}.json`, payload: sanitiseActor(actor, options), images });
   }
 
-  ui.notifications.info("Export complete. Move the JSON files into your web app's data/actors folder.");
+  downloadJSON(`vault-export-${exportedAt.slice(0, 10)}.json`, {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    exportedAt,
+    systemId: SYSTEM_ID,
+    foundryVersion: FOUNDry_VERSION,
+    manifest: files.map(({ file, payload }) => ({ name: payload.actor.name, file: `./data/actors/${file}` })),
+    files
+  });
+
+  ui.notifications.info("Export complete. Unpack the bundle with tools/build-manifest.mjs, or upload it into data/actors.");
 })();
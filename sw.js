@@ -0,0 +1,126 @@
+// Foundry Character Vault – offline support.
+// The app shell (HTML, scripts, theme assets) lives in the Cache API; everything under
+// data/ (manifest, actor snapshots, history, portraits) is kept in IndexedDB exactly as
+// served, so encrypted deployments stay encrypted at rest. Requests are network-first:
+// the cached copy is only used when the network fails.
+
+const SHELL_CACHE = "waterdeep-vault-shell-v1";
+const SHELL_FILES = [
+  "./index.html",
+  "./app.js",
+  "./auth.js",
+  "./vault-config.js",
+  "./assets/waterdeep-bg.jpeg",
+  "./assets/waterdeep-crest.png",
+  "./vendor/hash-wasm/argon2.umd.min.js",
+  "./vendor/hash-wasm/scrypt.umd.min.js"
+];
+const DATA_DB = "waterdeep-vault-offline";
+const DATA_STORE = "files";
+const OFFLINE_HEADER = "X-Vault-Offline";
+
+function openDataDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATA_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DATA_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, run) {
+  const db = await openDataDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(DATA_STORE, mode);
+      const request = run(tx.objectStore(DATA_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Cache-busting query strings (?v=, ?_vault=, ?vaultRefresh=) would otherwise give every load its own entry.
+function cacheKey(url) {
+  const u = new URL(url);
+  u.search = "";
+  return u.toString();
+}
+
+function isSameOrigin(url) {
+  return new URL(url).origin === self.location.origin;
+}
+
+function isDataRequest(url) {
+  return isSameOrigin(url) && new URL(url).pathname.startsWith(new URL("./data/", self.registration.scope).pathname);
+}
+
+async function fetchData(request) {
+  const key = cacheKey(request.url);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().arrayBuffer();
+      const record = {
+        body,
+        contentType: response.headers.get("Content-Type") || "application/octet-stream",
+        storedAt: new Date().toISOString()
+      };
+      await withStore("readwrite", (store) => store.put(record, key)).catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    const record = await withStore("readonly", (store) => store.get(key)).catch(() => null);
+    if (!record) throw error;
+    return new Response(record.body, {
+      status: 200,
+      headers: { "Content-Type": record.contentType, [OFFLINE_HEADER]: record.storedAt }
+    });
+  }
+}
+
+async function fetchShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === "navigate" ? cacheKey(new URL("./index.html", self.registration.scope)) : cacheKey(request.url);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(key, response.clone()).catch(() => {});
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // One missing optional file (vault-config.js in a local preview, say) must not abort the install.
+    await Promise.all(SHELL_FILES.map(async (file) => {
+      const url = new URL(file, self.registration.scope);
+      try {
+        const response = await fetch(url, { cache: "no-store" });
+        if (response.ok) await cache.put(cacheKey(url), response);
+      } catch {}
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((key) => key.startsWith("waterdeep-vault-shell-") && key !== SHELL_CACHE).map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // Cross-origin requests (CDN scripts, Foundry image URLs) go straight to the network and are never cached.
+  if (request.method !== "GET" || !/^https?:/.test(request.url) || !isSameOrigin(request.url)) return;
+  event.respondWith(isDataRequest(request.url) ? fetchData(request) : fetchShell(request));
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { loadApp } from "../tools/load-app.mjs";
+
+const app = loadApp();
+
+const weapon = (properties, range) => ({ type: "weapon", system: { properties, range } });
+const meleeAttack = (range) => ({ type: "attack", attack: { type: { value: "melee" } }, range });
+
+test("a thrown melee weapon shows its reach and its thrown range", () => {
+  const spear = weapon(["thr", "ver"], { value: 20, long: 60, units: "ft", reach: null });
+  assert.equal(app.attackRangeText(spear, meleeAttack({ override: false, units: "any" }), false), "5 feet, thrown 20/60 feet");
+
+  // Light Hammer: the activity overrides its range with "Any".
+  const hammer = weapon(["lgt", "thr"], { value: 20, long: 60, units: "ft", reach: null });
+  assert.equal(app.attackRangeText(hammer, meleeAttack({ override: true, units: "any" }), false), "5 feet, thrown 20/60 feet");
+
+  const trident = weapon(["thr"], { value: 20, long: 60, units: "ft", reach: 10 });
+  assert.equal(app.attackRangeText(trident, meleeAttack({ override: false }), false), "10 feet reach, thrown 20/60 feet");
+});
+
+test("a custom damage formula shows only its dice", () => {
+  assert.equal(app.damagePartDice({ custom: { enabled: true, formula: "1d8x@mod=8" } }), "1d8");
+  assert.equal(app.damagePartDice({ custom: { enabled: true, formula: "2d20kh + @mod" } }), "2d20 + @mod");
+  assert.equal(app.damagePartDice({ number: 2, denomination: 6 }), "2d6");
+});
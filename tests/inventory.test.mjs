@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { loadApp } from "../tools/load-app.mjs";
+
+const app = loadApp();
+
+const item = (id, type, weight, container = null, quantity = 1) => ({
+  _id: id,
+  name: id,
+  type,
+  system: { weight: { value: weight, units: "lb" }, quantity, container }
+});
+
+test("items inside a legacy backpack nest under it and add to its weight", () => {
+  const gear = [
+    item("pack", "backpack", 5),
+    item("rope", "loot", 10, "pack"),
+    item("rations", "consumable", 2, "pack", 3),
+    item("sword", "weapon", 3)
+  ];
+
+  const { tree, byId, carried } = app.inventoryWeights(gear);
+  assert.deepEqual([...tree.roots].map((g) => g._id), ["pack", "sword"]);
+  assert.deepEqual([...tree.children.get("pack")].map((g) => g._id), ["rope", "rations"]);
+  assert.equal(byId.get("pack").contents, 16);
+  assert.equal(byId.get("pack").total, 21);
+  assert.equal(carried, 24);
+});
+
+test("containers nest the same way", () => {
+  const gear = [item("chest", "container", 25), item("coins", "loot", 1, "chest")];
+  const { tree, carried } = app.inventoryWeights(gear);
+  assert.deepEqual([...tree.roots].map((g) => g._id), ["chest"]);
+  assert.equal(carried, 26);
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { loadApp } from "../tools/load-app.mjs";
+
+const app = loadApp();
+
+const entry = (id, name, gp, extra = {}) => ({
+  id,
+  name,
+  payload: { systemId: "dnd5e", actor: { _id: id, name, system: { currency: { pp: 0, gp, ep: 0, sp: 0, cp: 0 } }, items: [] } },
+  ...extra
+});
+
+test("a dropped preview of a deployed character is not added to the party treasury", () => {
+  const entries = [
+    entry("goody", "Goody", 104.51),
+    entry("thrum", "Thrum (Istra)", 20),
+    entry("local-1", "Goody", 104.51, { localPreview: true })
+  ];
+
+  const party = app.partyEntries(entries);
+  assert.deepEqual([...party].map((x) => x.id), ["goody", "thrum"]);
+  assert.equal(app.currencyGpValue(app.treasuryRows(party).party), 124.51);
+});
+
+test("characters whose snapshot has not loaded yet are left out", () => {
+  const entries = [entry("goody", "Goody", 10), { id: "kira", name: "Kira", payload: null }];
+  assert.deepEqual([...app.partyEntries(entries)].map((x) => x.id), ["goody"]);
+});
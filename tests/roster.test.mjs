@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import vm from "node:vm";
+import { loadApp } from "../tools/load-app.mjs";
+
+const manifestItem = (name, hash) => ({
+  id: name.toLowerCase(),
+  name,
+  file: `./data/actors/${name.toLowerCase()}.json`,
+  hash,
+  portrait: `./data/portraits/${name.toLowerCase()}-img.webp`,
+  summary: { classes: "Rogue", level: 7, ac: 15, hp: { value: 40, max: 40, temp: null } }
+});
+
+// An encrypted vault whose portrait downloads are held until the test releases them.
+function encryptedVault(manifest) {
+  const app = loadApp();
+  const pending = [];
+  const painted = [];
+  const repainted = [];
+  Object.assign(app, {
+    vaultDataKey: () => "key",
+    loadManifest: async () => manifest.items,
+    loadEncryptedImage: (url, ext, token) => new Promise((resolve) => pending.push({ url, token, resolve })),
+    setStatus: () => {},
+    updateLastSynced: () => {},
+    applyGlobalSearch: () => painted.push([...vm.runInContext("allPayloads", app)].map((x) => ({ name: x.name, portrait: x.portrait }))),
+    repaintRosterItem: (entry) => repainted.push({ name: entry.name, portrait: entry.portrait })
+  });
+  return { app, pending, painted, repainted, allPayloads: () => vm.runInContext("allPayloads", app) };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("the roster is drawn before the portraits are decrypted and filled in as each arrives", async () => {
+  const vault = encryptedVault({ items: [manifestItem("Goody", "h1"), manifestItem("Thrum", "h2")] });
+
+  await vault.app.initialise({ refresh: true });
+  assert.deepEqual(vault.painted[0], [{ name: "Goody", portrait: null }, { name: "Thrum", portrait: null }]);
+  assert.equal(vault.pending.length, 2);
+
+  vault.pending[1].resolve("blob:thrum");
+  await settle();
+  assert.deepEqual(vault.repainted, [{ name: "Thrum", portrait: "blob:thrum" }]);
+  assert.equal(vault.allPayloads().find((x) => x.name === "Goody").portrait, null);
+});
+
+test("Refresh Data only fetches the portraits of snapshots whose hash changed", async () => {
+  const manifest = { items: [manifestItem("Goody", "h1"), manifestItem("Thrum", "h2")] };
+  const vault = encryptedVault(manifest);
+  await vault.app.initialise({ refresh: true });
+  vault.pending.forEach((p) => p.resolve(`blob:${p.url}`));
+  await settle();
+
+  manifest.items = [manifestItem("Goody", "h1"), manifestItem("Thrum", "h3")];
+  await vault.app.initialise({ refresh: true });
+  assert.deepEqual(vault.pending.slice(2).map((p) => p.token), ["h3"]);
+  assert.equal(vault.painted[1][0].portrait, "blob:./data/portraits/goody-img.webp");
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import vm from "node:vm";
+import { loadApp } from "../tools/load-app.mjs";
+
+// Just enough of the DOM for the sheet's hero tabs and the search box.
+function fakeElement(props = {}) {
+  const classes = new Set(props.classes || []);
+  return {
+    id: "",
+    value: "",
+    dataset: {},
+    children: [],
+    style: {},
+    classList: {
+      add: (c) => classes.add(c),
+      remove: (c) => classes.delete(c),
+      contains: (c) => classes.has(c),
+      toggle: (c, on) => (on ? classes.add(c) : classes.delete(c))
+    },
+    scrollIntoView() {},
+    querySelectorAll: () => [],
+    ...props
+  };
+}
+
+function sheetWithTabs() {
+  const prefix = "sheet-goody-root";
+  const labels = ["Overview", "Combat", "Spells", "Inventory"];
+  const tabs = labels.map((label, i) => fakeElement({
+    label,
+    dataset: { target: `${prefix}-${label.toLowerCase()}` },
+    classes: i === 0 ? ["is-active"] : []
+  }));
+  const sections = Object.fromEntries(tabs.map((tab) => [tab.dataset.target, fakeElement({ id: tab.dataset.target })]));
+  const sheet = fakeElement({ querySelectorAll: (sel) => (sel === ".tab-button[data-target]" ? tabs : []) });
+  const search = fakeElement();
+  const document = {
+    querySelector: (sel) => ({ "#sheet": sheet, "#search": search })[sel] || null,
+    querySelectorAll: () => [],
+    getElementById: (id) => sections[id] || null
+  };
+
+  let app = null;
+  const history = {
+    replaceState: (state, title, url) => { app.window.location = new URL(url, app.window.location); },
+    pushState: (state, title, url) => { app.window.location = new URL(url, app.window.location); }
+  };
+  app = loadApp({ document, history });
+  vm.runInContext(`
+    allPayloads = [{ id: "goody", name: "Goody", payload: { systemId: "dnd5e", actor: { _id: "goody", name: "Goody", system: {}, items: [] } } }];
+    selectedId = "goody";
+  `, app);
+  app.window.location.hash = "#character=goody";
+  const active = () => tabs.filter((t) => t.classList.contains("is-active")).map((t) => t.label);
+  return { app, tabs, active };
+}
+
+test("clicking a tab puts its section in the link, and the link brings the tab back", () => {
+  const { app, tabs, active } = sheetWithTabs();
+
+  app.openSheetTab(tabs[2]);
+  assert.equal(app.window.location.hash, "#character=goody&section=spells");
+  assert.deepEqual(active(), ["Spells"]);
+
+  // Back to an earlier entry, then forward to the shared link again.
+  app.window.location.hash = "#character=goody&section=combat";
+  assert.equal(app.applyRoute(), true);
+  assert.deepEqual(active(), ["Combat"]);
+
+  app.window.location.hash = "#character=goody&section=spells";
+  app.applyRoute();
+  assert.deepEqual(active(), ["Spells"]);
+
+  app.window.location.hash = "#character=goody";
+  app.applyRoute();
+  assert.deepEqual(active(), ["Overview"]);
+});
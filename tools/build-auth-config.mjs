@@ -1,27 +1,209 @@
-import { writeFile } from "node:fs/promises";
+import { createCipheriv, randomBytes } from "node:crypto";
+import { existsSync } from "node:fs";
+import { readFile, writeFile } from "node:fs/promises";
 
 const PBKDF2_PATTERN = /^pbkdf2-sha256\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
 const BCRYPT_PATTERN = /^\$2[aby]\$(0[4-9]|[12]\d|3[01])\$[./A-Za-z0-9]{53}$/;
+const SCRYPT_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+const ARGON2ID_PATTERN = /^\$argon2id\$v=19\$m=(\d+),t=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+const DATA_KEY_PATTERN = /^aes256gcm-pbkdf2-sha256\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
 const outputPath = process.argv[2] || "vault-config.js";
-const verifier = process.env.VAULT_PASSWORD_HASH?.trim();
-const pbkdf2Match = verifier?.match(PBKDF2_PATTERN);
-const isBcrypt = typeof verifier === "string" && BCRYPT_PATTERN.test(verifier);
-
-if (!pbkdf2Match && !isBcrypt) {
-  console.error("VAULT_PASSWORD_HASH is missing or is not a supported password verifier.");
-  console.error("Use a PBKDF2-SHA256 verifier generated by tools/hash-password.mjs");
-  console.error("or a standard 60-character $2a$, $2b$, or $2y$ bcrypt hash.");
+const accountsPath = process.env.VAULT_ACCOUNTS_FILE || "vault-accounts.json";
+
+function fail(...lines) {
+  for (const line of lines) console.error(line);
   process.exit(1);
 }
 
-if (pbkdf2Match) {
-  const iterations = Number(pbkdf2Match[1]);
-  if (!Number.isSafeInteger(iterations) || iterations < 100_000) {
-    console.error("VAULT_PASSWORD_HASH must use at least 100,000 PBKDF2 iterations.");
-    process.exit(1);
+function checkVerifier(verifier, label) {
+  const pbkdf2Match = typeof verifier === "string" ? verifier.match(PBKDF2_PATTERN) : null;
+  const scryptMatch = typeof verifier === "string" ? verifier.match(SCRYPT_PATTERN) : null;
+  const argon2Match = typeof verifier === "string" ? verifier.match(ARGON2ID_PATTERN) : null;
+  const isBcrypt = typeof verifier === "string" && BCRYPT_PATTERN.test(verifier);
+
+  if (!pbkdf2Match && !scryptMatch && !argon2Match && !isBcrypt) {
+    fail(
+      `${label} is missing or is not a supported password verifier.`,
+      "Use a PBKDF2-SHA256, scrypt or Argon2id verifier generated by tools/hash-password.mjs",
+      "or a standard 60-character $2a$, $2b$, or $2y$ bcrypt hash."
+    );
+  }
+
+  if (pbkdf2Match) {
+    const iterations = Number(pbkdf2Match[1]);
+    if (!Number.isSafeInteger(iterations) || iterations < 100_000) {
+      fail(`${label} must use at least 100,000 PBKDF2 iterations.`);
+    }
+  }
+
+  // Upper bounds keep the browser's WASM memory within reach of a phone or tablet.
+  if (scryptMatch) {
+    const [n, r, p] = scryptMatch.slice(1, 4).map(Number);
+    const isPowerOfTwo = Number.isSafeInteger(n) && n > 1 && (n & (n - 1)) === 0;
+    if (!isPowerOfTwo || n < 2 ** 15 || r < 8 || p < 1 || p > 16 || 128 * n * r > 2 ** 30) {
+      fail(`${label} must use scrypt N >= 32768 (a power of two), r >= 8, 1 <= p <= 16, and at most 1 GiB of memory.`);
+    }
+  }
+
+  if (argon2Match) {
+    const [m, t, p] = argon2Match.slice(1, 4).map(Number);
+    if (m < 19_456 || m > 1_048_576 || t < 2 || p < 1 || p > 16) {
+      fail(`${label} must use Argon2id with 19456 <= m <= 1048576 KiB, t >= 2 and 1 <= p <= 16.`);
+    }
+  }
+}
+
+function parseDataKey(dataKey, label) {
+  const dataKeyMatch = dataKey.match(DATA_KEY_PATTERN);
+  const iterations = Number(dataKeyMatch?.[1]);
+  if (!dataKeyMatch || !Number.isSafeInteger(iterations) || iterations < 100_000) {
+    fail(`${label} is not a data key generated by tools/hash-password.mjs.`);
+  }
+  return { iterations, salt: dataKeyMatch[2], key: Buffer.from(dataKeyMatch[3], "base64") };
+}
+
+// Seals the shared data key under a player's own password-derived key, in the IV | ciphertext | tag layout.
+function wrapDataKey(masterKey, accountKey) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", accountKey, iv);
+  return Buffer.concat([iv, cipher.update(masterKey), cipher.final(), cipher.getAuthTag()]).toString("base64");
+}
+
+// A bare date such as 2026-11-01 expires at the start of that day, UTC.
+function parseExpiry(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = typeof value === "string" ? Date.parse(value) : Number.NaN;
+  if (!Number.isFinite(time)) fail(`${label} has an "expires" value that is not an ISO 8601 date.`);
+  return new Date(time).toISOString();
+}
+
+// VAULT_PASSWORD_HASH may be a JSON list of verifiers (or { verifier, label, expires, dataKey }
+// objects) so the GM can roll passwords over; expired entries are left out of the build.
+function readVerifierList(value, masterKey) {
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    fail(`VAULT_PASSWORD_HASH looks like a JSON list but could not be parsed: ${error.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) fail("VAULT_PASSWORD_HASH must list at least one verifier.");
+
+  const now = Date.now();
+  const seen = new Set();
+  const verifiers = [];
+  list.forEach((item, index) => {
+    const entry = typeof item === "string" ? { verifier: item } : item;
+    const name = typeof entry?.label === "string" ? entry.label.trim() : "";
+    const label = `VAULT_PASSWORD_HASH entry ${name ? `"${name}"` : `#${index + 1}`}`;
+    const verifier = typeof entry?.verifier === "string" ? entry.verifier.trim() : "";
+    checkVerifier(verifier, label);
+    if (seen.has(verifier)) fail(`${label} repeats a verifier that is already listed.`);
+    seen.add(verifier);
+
+    const expires = parseExpiry(entry.expires, label);
+    if (expires && Date.parse(expires) <= now) {
+      console.log(`::warning::${label} expired on ${expires} and was left out.`);
+      return;
+    }
+
+    const out = { passwordVerifier: verifier };
+    if (name) out.label = name;
+    if (expires) out.expires = expires;
+    if (masterKey) {
+      // Without its own dataKey an entry is taken to be the password VAULT_DATA_KEY came from.
+      if (typeof entry.dataKey === "string") {
+        const passwordKey = parseDataKey(entry.dataKey.trim(), `${label} dataKey`);
+        out.dataKey = {
+          iterations: passwordKey.iterations,
+          salt: passwordKey.salt,
+          wrapped: wrapDataKey(masterKey.key, passwordKey.key)
+        };
+      } else {
+        out.dataKey = { iterations: masterKey.iterations, salt: masterKey.salt };
+      }
+    }
+    verifiers.push(out);
+  });
+
+  if (!verifiers.length) fail("Every verifier in VAULT_PASSWORD_HASH has expired.");
+  console.log(`Read ${verifiers.length} active verifier(s) from VAULT_PASSWORD_HASH`);
+  return verifiers;
+}
+
+const masterDataKey = process.env.VAULT_DATA_KEY?.trim()
+  ? parseDataKey(process.env.VAULT_DATA_KEY.trim(), "VAULT_DATA_KEY")
+  : null;
+
+let auth;
+if (existsSync(accountsPath)) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(accountsPath, "utf8"));
+  } catch (error) {
+    fail(`${accountsPath} is not valid JSON: ${error.message}`);
+  }
+
+  const accounts = Array.isArray(config?.accounts) ? config.accounts : [];
+  if (!accounts.length) fail(`${accountsPath} must list at least one account under "accounts".`);
+
+  const seen = new Set();
+  auth = {
+    accounts: accounts.map((account, index) => {
+      const name = typeof account?.name === "string" ? account.name.trim() : "";
+      const label = `Account ${name ? `"${name}"` : `#${index + 1}`} in ${accountsPath}`;
+      if (!name) fail(`${label} needs a name.`);
+      if (seen.has(name.toLowerCase())) fail(`${label} uses a name that is already taken.`);
+      seen.add(name.toLowerCase());
+
+      const role = account?.role === "gm" ? "gm" : "player";
+      const characters = Array.isArray(account?.characters)
+        ? account.characters.filter((c) => typeof c === "string" && c.trim()).map((c) => c.trim())
+        : [];
+      if (role === "player" && !characters.length) {
+        fail(`${label} is a player account, so it needs a "characters" list (or "role": "gm").`);
+      }
+
+      const verifier = typeof account?.verifier === "string" ? account.verifier.trim() : "";
+      checkVerifier(verifier, `${label} verifier`);
+
+      const out = { name, role, characters, passwordVerifier: verifier };
+      if (masterDataKey) {
+        if (typeof account?.dataKey !== "string") {
+          fail(`${label} needs the "dataKey" printed by tools/hash-password.mjs, because VAULT_DATA_KEY is set.`);
+        }
+        const accountKey = parseDataKey(account.dataKey.trim(), `${label} dataKey`);
+        out.dataKey = {
+          iterations: accountKey.iterations,
+          salt: accountKey.salt,
+          wrapped: wrapDataKey(masterDataKey.key, accountKey.key)
+        };
+      }
+      return out;
+    })
+  };
+  console.log(`Read ${auth.accounts.length} account(s) from ${accountsPath}`);
+} else if (process.env.VAULT_PASSWORD_HASH?.trim().startsWith("[")) {
+  auth = { passwordVerifiers: readVerifierList(process.env.VAULT_PASSWORD_HASH.trim(), masterDataKey) };
+} else {
+  const verifier = process.env.VAULT_PASSWORD_HASH?.trim();
+  checkVerifier(verifier, "VAULT_PASSWORD_HASH");
+
+  auth = { passwordVerifier: verifier };
+  if (masterDataKey) {
+    // Only the salt and cost are published; the browser re-derives the key from the password.
+    auth.dataKey = { iterations: masterDataKey.iterations, salt: masterDataKey.salt };
+  }
+}
+
+const sessionMinutes = process.env.VAULT_SESSION_MINUTES?.trim();
+if (sessionMinutes) {
+  const minutes = Number(sessionMinutes);
+  if (!Number.isSafeInteger(minutes) || minutes < 1) {
+    fail("VAULT_SESSION_MINUTES must be a whole number of minutes, at least 1.");
   }
+  auth.sessionMinutes = minutes;
 }
 
-const config = `window.VAULT_AUTH = ${JSON.stringify({ passwordVerifier: verifier })};\n`;
+const config = `window.VAULT_AUTH = ${JSON.stringify(auth)};\n`;
 await writeFile(outputPath, config, "utf8");
 console.log(`Created ${outputPath}`);
@@ -1,33 +1,310 @@
 #!/usr/bin/env node
 /**
  * Build data/manifest.json from JSON files in data/actors/
+ * Each snapshot is also archived into the history folder, keyed by exportedAt,
+ * so later exports that overwrite data/actors/<slug>.json keep the earlier ones.
+ * Entries carry a content hash and exportedAt so the viewer only re-downloads
+ * snapshots that changed, plus everything the roster shows (class line, level, AC/HP,
+ * portrait path, file size) so it can render before any snapshot is fetched.
+ * A bundle downloaded by foundry-macro-export.js is unpacked into the actors
+ * folder first, either from --bundle or when one has been dropped into that folder.
+ * Portrait or token art embedded in the bundle is written to the portraits folder
+ * beside the actors folder as <slug>-img.<ext>, one of the names the viewer probes.
+ * Every snapshot is checked against the export schema stamped by the macro; any file that
+ * fails stops the build with a list of what is wrong, rather than being left out of the manifest.
  * Usage:
- *   node tools/build-manifest.mjs data/actors data/manifest.json
+ *   node tools/build-manifest.mjs data/actors data/manifest.json [data/history] [--bundle vault-export.json]
  */
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
+import { loadApp } from "./load-app.mjs";
 
-const [,, inDir, outFile] = process.argv;
+const BUNDLE_FORMAT = "waterdeep-vault-bundle";
+const SAFE_FILE_NAME = /^[a-z0-9][a-z0-9-]*\.json$/;
+const SCHEMA_VERSION = 1; // stamped by foundry-macro-export.js; app.js flags anything else
 
-if (!inDir || !outFile) {
-  console.error("Usage: node tools/build-manifest.mjs data/actors data/manifest.json");
+const args = process.argv.slice(2);
+let bundleArg = null;
+const bundleIndex = args.findIndex(a => a === "--bundle" || a.startsWith("--bundle="));
+if (bundleIndex !== -1) {
+  const [flag] = args.splice(bundleIndex, 1);
+  bundleArg = flag.includes("=") ? flag.slice("--bundle=".length) : args.splice(bundleIndex, 1)[0];
+}
+const [inDir, outFile, historyArg] = args;
+
+if (!inDir || !outFile || (bundleIndex !== -1 && !bundleArg)) {
+  console.error("Usage: node tools/build-manifest.mjs data/actors data/manifest.json [data/history] [--bundle vault-export.json]");
   process.exit(1);
 }
 
+const dataDir = path.dirname(inDir);
+const historyDir = historyArg || path.join(dataDir, "history");
+const portraitsDir = path.join(dataDir, "portraits");
+const PORTRAIT_EXTS = ["webp", "png", "jpg", "jpeg", "avif"];
+
+// URLs in the manifest are relative to the site root, where the data folder is served as ./data,
+// whichever directory the script is run from.
+function sitePath(p) {
+  return `./data/${path.relative(dataDir, p).split(path.sep).join("/")}`;
+}
+
+// Colons are not allowed in Windows file names, so 2026-08-15T06:41:42.913Z becomes 2026-08-15T06-41-42.913Z.
+function snapshotStamp(exportedAt) {
+  return String(exportedAt).replace(/:/g, "-");
+}
+
+// Hash of the plaintext file, in the same sha256-<base64> form as subresource integrity.
+function contentHash(raw) {
+  return `sha256-${createHash("sha256").update(raw).digest("base64")}`;
+}
+
+function archiveSnapshot(slug, exportedAt, raw) {
+  if (!exportedAt || Number.isNaN(Date.parse(exportedAt))) return;
+  const dir = path.join(historyDir, slug);
+  const target = path.join(dir, `${snapshotStamp(exportedAt)}.json`);
+  if (fs.existsSync(target)) return;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(target, raw, "utf8");
+  console.log(`Archived ${slug} snapshot from ${exportedAt}`);
+}
+
+function listHistory(slug) {
+  const dir = path.join(historyDir, slug);
+  if (!fs.existsSync(dir)) return [];
+  const history = [];
+  for (const f of fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith(".json"))) {
+    const p = path.join(dir, f);
+    try {
+      const payload = JSON.parse(fs.readFileSync(p, "utf8"));
+      if (!payload?.exportedAt) continue;
+      history.push({ exportedAt: payload.exportedAt, file: sitePath(p) });
+    } catch {
+      // skip invalid JSON
+    }
+  }
+  return history.sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Schema 1: { schemaVersion, exportedAt, systemId, systemVersion, foundryVersion, actor }.
+// Files without schemaVersion predate it, so systemVersion is not required of them. A newer
+// version is let through with a warning (the viewer badges it) after the fields every version shares.
+function validateSnapshot(payload) {
+  if (!isPlainObject(payload)) return ["the file is not a JSON object"];
+  const errors = [];
+  const { schemaVersion } = payload;
+  const versioned = schemaVersion !== undefined;
+  if (versioned && (!Number.isSafeInteger(schemaVersion) || schemaVersion < 1)) {
+    errors.push(`schemaVersion must be a whole number from 1, not ${JSON.stringify(schemaVersion)}`);
+  }
+
+  if (!isNonEmptyString(payload.exportedAt) || Number.isNaN(Date.parse(payload.exportedAt))) {
+    errors.push("exportedAt must be an ISO 8601 date");
+  }
+  if (!isNonEmptyString(payload.systemId)) errors.push("systemId must be a non-empty string");
+  if (versioned && !isNonEmptyString(payload.systemVersion)) errors.push("systemVersion must be a non-empty string");
+  if (!isNonEmptyString(payload.foundryVersion)) errors.push("foundryVersion must be a non-empty string");
+
+  const actor = payload.actor;
+  if (!isPlainObject(actor)) {
+    errors.push("actor must be an object");
+    return errors;
+  }
+  if (!isNonEmptyString(actor.name)) errors.push("actor.name must be a non-empty string");
+  if (!isNonEmptyString(actor.type)) errors.push("actor.type must be a non-empty string");
+  if (!isPlainObject(actor.system)) errors.push("actor.system must be an object");
+  if (!Array.isArray(actor.items)) errors.push("actor.items must be an array");
+  else if (actor.items.some(it => !isPlainObject(it) || !isNonEmptyString(it.name))) errors.push("every entry in actor.items needs a name");
+  if (actor.effects !== undefined && !Array.isArray(actor.effects)) errors.push("actor.effects must be an array");
+  if (payload.derived !== undefined && !isPlainObject(payload.derived)) errors.push("derived must be an object");
+  return errors;
+}
+
+function readBundle(p) {
+  try {
+    const data = JSON.parse(fs.readFileSync(p, "utf8"));
+    return data?.format === BUNDLE_FORMAT ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Mirrors portraitBases() in app.js: the exact name, lower-cased and word forms are probed before the slug.
+function portraitNames(name) {
+  const raw = String(name || "").trim();
+  const words = raw.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().replace(/\s+/g, " ");
+  return { manual: [...new Set([raw, raw.toLowerCase(), words])], slug: words.replace(/\s+/g, "-") };
+}
+
+// Exported art replaces any earlier export of the same character in another format, but a hand-placed
+// <Character Name>-img file is left alone (and keeps winning in the viewer). Names are compared exactly,
+// so this also holds on case-insensitive disks.
+function writePortrait(name, images, source) {
+  const image = [images?.portrait, images?.token]
+    .find(img => img && PORTRAIT_EXTS.includes(img.ext) && typeof img.data === "string" && img.data);
+  const { manual, slug } = portraitNames(name);
+  if (!image || !slug) return;
+
+  fs.mkdirSync(portraitsDir, { recursive: true });
+  const present = new Set(fs.readdirSync(portraitsDir));
+  const override = manual.filter(base => base && base !== slug)
+    .flatMap(base => PORTRAIT_EXTS.map(ext => `${base}-img.${ext}`))
+    .find(f => present.has(f));
+  if (override) {
+    console.log(`Kept hand-placed portrait ${override} for ${name}`);
+    return;
+  }
+
+  for (const ext of PORTRAIT_EXTS) {
+    const stale = `${slug}-img.${ext}`;
+    if (ext !== image.ext && present.has(stale)) fs.unlinkSync(path.join(portraitsDir, stale));
+  }
+  const target = `${slug}-img.${image.ext}`;
+  fs.writeFileSync(path.join(portraitsDir, target), Buffer.from(image.data, "base64"));
+  console.log(`Wrote portrait ${target} from ${image.src || source}`);
+}
+
+// The first portrait the viewer would find by probing, so it can skip the probe entirely.
+function findPortrait(name) {
+  if (!fs.existsSync(portraitsDir)) return null;
+  const present = new Set(fs.readdirSync(portraitsDir));
+  const { manual, slug } = portraitNames(name);
+  for (const base of [...manual, slug].filter(Boolean)) {
+    const ext = PORTRAIT_EXTS.find(e => present.has(`${base}-img.${e}`));
+    if (ext) return `./data/portraits/${encodeURIComponent(`${base}-img`)}.${ext}`;
+  }
+  return null;
+}
+
+function numberOrNull(v) {
+  const n = Number(v);
+  return v !== null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// AC and max HP are derived by Foundry from armour, effects and formulas. The macro's `derived` block carries
+// Foundry's own values; exports without it are worked out with the sheet's formulas from app.js.
+let sheet = null;
+function rosterSummary(payload) {
+  if (payload.systemId !== "dnd5e") return null;
+  sheet ??= loadApp();
+  const { actor } = payload;
+  const hp = sheet.computeAdjustedHP(actor);
+  const classes = actor.items.filter(it => it.type === "class");
+  const levels = classes.reduce((sum, it) => sum + (numberOrNull(it.system?.levels) || 0), 0);
+  return {
+    classes: classes.map(it => it.name).join(", ") || actor.system.details?.class || "",
+    level: levels || numberOrNull(actor.system.details?.level) || null,
+    ac: numberOrNull(payload.derived?.ac) ?? numberOrNull(sheet.computeAC(actor)),
+    hp: {
+      value: hp.value,
+      max: numberOrNull(payload.derived?.hpMax) ?? hp.effectiveMax,
+      temp: hp.temp
+    }
+  };
+}
+
+// File names are checked so a bundle can only write <slug>.json inside the actors folder.
+function unpackBundle(bundle, source) {
+  if (bundle.version !== 1 || !Array.isArray(bundle.files)) {
+    console.error(`${source} is not a version 1 vault bundle.`);
+    process.exit(1);
+  }
+  fs.mkdirSync(inDir, { recursive: true });
+  let count = 0;
+  for (const entry of bundle.files) {
+    const name = String(entry?.file || "");
+    if (!SAFE_FILE_NAME.test(name) || !entry?.payload?.actor) {
+      console.warn(`Skipped bundle entry "${name}" from ${source}`);
+      continue;
+    }
+    fs.writeFileSync(path.join(inDir, name), JSON.stringify(entry.payload, null, 2) + "\n", "utf8");
+    writePortrait(entry.payload.actor.name, entry.images, source);
+    count += 1;
+  }
+  console.log(`Unpacked ${count} actor(s) from ${source}`);
+}
+
+if (bundleArg) {
+  const bundle = readBundle(bundleArg);
+  if (!bundle) {
+    console.error(`${bundleArg} is not a bundle written by foundry-macro-export.js.`);
+    process.exit(1);
+  }
+  unpackBundle(bundle, bundleArg);
+}
+
+// A bundle uploaded straight into the actors folder (e.g. through GitHub's web UI) is unpacked and removed.
+for (const f of fs.readdirSync(inDir).filter(f => f.toLowerCase().endsWith(".json"))) {
+  const p = path.join(inDir, f);
+  const bundle = readBundle(p);
+  if (!bundle) continue;
+  unpackBundle(bundle, p);
+  fs.unlinkSync(p);
+}
+
 const files = fs.readdirSync(inDir).filter(f => f.toLowerCase().endsWith(".json"));
-const manifest = [];
+const snapshots = [];
+const invalid = [];
+const unversioned = [];
 
 for (const f of files) {
   const p = path.join(inDir, f);
   const raw = fs.readFileSync(p, "utf8");
+  let payload;
   try {
-    const payload = JSON.parse(raw);
-    const actor = payload?.actor || payload?.data?.actor || payload;
-    const name = actor?.name || f.replace(/\.json$/i, "");
-    manifest.push({ name, file: `./data/actors/${f}` });
-  } catch {
-    // skip invalid JSON
+    payload = JSON.parse(raw);
+  } catch (error) {
+    invalid.push(`${p}: not valid JSON (${error.message})`);
+    continue;
+  }
+  const errors = validateSnapshot(payload);
+  if (errors.length) {
+    invalid.push(`${p}:`, ...errors.map(e => `  - ${e}`));
+    continue;
   }
+  if (payload.schemaVersion === undefined) unversioned.push(f);
+  else if (payload.schemaVersion > SCHEMA_VERSION) {
+    console.warn(`${p} uses export schema ${payload.schemaVersion}; this tool knows up to ${SCHEMA_VERSION}, so only the shared fields were checked.`);
+  }
+  snapshots.push({ f, raw, payload });
+}
+
+if (invalid.length) {
+  console.error(`${invalid.filter(line => !line.startsWith("  ")).length} snapshot(s) in ${inDir} do not match the export schema:`);
+  for (const line of invalid) console.error(line);
+  console.error("Re-export them with foundry-macro-export.js, or remove them, then run the build again.");
+  process.exit(1);
+}
+if (unversioned.length) {
+  console.log(`Read ${unversioned.length} snapshot(s) from before the export schema: ${unversioned.join(", ")}`);
+}
+
+const manifest = [];
+for (const { f, raw, payload } of snapshots) {
+  const slug = f.replace(/\.json$/i, "");
+  archiveSnapshot(slug, payload.exportedAt, raw);
+  manifest.push({
+    id: typeof payload.actor._id === "string" ? payload.actor._id : slug,
+    name: payload.actor.name,
+    type: payload.actor.type,
+    file: `./data/actors/${f}`,
+    size: Buffer.byteLength(raw),
+    hash: contentHash(raw),
+    exportedAt: payload.exportedAt,
+    schemaVersion: payload.schemaVersion ?? null,
+    systemId: payload.systemId,
+    portrait: findPortrait(payload.actor.name),
+    summary: rosterSummary(payload),
+    history: listHistory(slug)
+  });
 }
 
 manifest.sort((a,b) => a.name.localeCompare(b.name));
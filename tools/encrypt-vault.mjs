@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Encrypt the manifest, actor snapshots, snapshot history and portraits in place
+ * with AES-256-GCM so the deployed site never serves plaintext character data.
+ * The key comes from VAULT_DATA_KEY, printed by tools/hash-password.mjs.
+ * Run it on the deployment copy only; encrypted files must not be committed.
+ * Usage:
+ *   VAULT_DATA_KEY=... node tools/encrypt-vault.mjs [data]
+ */
+import { createCipheriv, randomBytes } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const DATA_KEY_PATTERN = /^aes256gcm-pbkdf2-sha256\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+const MAGIC = Buffer.from("WDV1", "utf8");
+const PORTRAIT_EXTS = new Set([".webp", ".png", ".jpg", ".jpeg", ".avif"]);
+
+const dataDir = process.argv[2] || "data";
+const dataKey = process.env.VAULT_DATA_KEY?.trim();
+
+if (!dataKey) {
+  console.log("::warning::VAULT_DATA_KEY is not set, so character data will be deployed unencrypted.");
+  process.exit(0);
+}
+
+const match = dataKey.match(DATA_KEY_PATTERN);
+const key = match ? Buffer.from(match[3], "base64") : null;
+if (!match || key.length !== 32) {
+  console.error("VAULT_DATA_KEY is not a data key generated by tools/hash-password.mjs.");
+  process.exit(1);
+}
+
+function encryptFile(p) {
+  const plain = fs.readFileSync(p);
+  if (plain.subarray(0, MAGIC.length).equals(MAGIC)) return false;
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const body = Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+  fs.writeFileSync(p, Buffer.concat([MAGIC, iv, body]));
+  return true;
+}
+
+function walk(dir, accept) {
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...walk(p, accept));
+    else if (accept(entry.name)) out.push(p);
+  }
+  return out;
+}
+
+const isJson = (name) => name.toLowerCase().endsWith(".json");
+const targets = [
+  path.join(dataDir, "manifest.json"),
+  ...walk(path.join(dataDir, "actors"), isJson),
+  ...walk(path.join(dataDir, "history"), isJson),
+  ...walk(path.join(dataDir, "portraits"), (name) => PORTRAIT_EXTS.has(path.extname(name).toLowerCase()))
+].filter((p) => fs.existsSync(p));
+
+let count = 0;
+for (const p of targets) if (encryptFile(p)) count += 1;
+console.log(`Encrypted ${count} file(s) under ${dataDir}`);
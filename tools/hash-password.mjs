@@ -1,11 +1,16 @@
-import { pbkdf2Sync, randomBytes } from "node:crypto";
+import { pbkdf2Sync, randomBytes, scryptSync } from "node:crypto";
+import { createRequire } from "node:module";
 
 const ITERATIONS = 310_000;
+// scrypt N=2^17, r=8, p=1 and Argon2id m=64 MiB, t=3, p=1 sit above the minimums enforced by build-auth-config.
+const SCRYPT_COST = { N: 2 ** 17, r: 8, p: 1 };
+const ARGON2ID_COST = { memorySize: 65_536, iterations: 3, parallelism: 1 };
+const ALGORITHMS = ["pbkdf2", "scrypt", "argon2id"];
 
 async function readHidden(prompt) {
   if (!process.stdin.isTTY || typeof process.stdin.setRawMode !== "function") {
     console.error("An interactive terminal is required.");
-    console.error("Alternatively run: node tools/hash-password.mjs \"your password\"");
+    console.error("Alternatively run: node tools/hash-password.mjs [--algorithm pbkdf2|scrypt|argon2id] \"your password\"");
     process.exit(1);
   }
 
@@ -44,7 +49,48 @@ async function readHidden(prompt) {
   });
 }
 
-let password = process.argv[2];
+function parseArgs(argv) {
+  const out = { algorithm: "pbkdf2", password: "" };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === "--algorithm") out.algorithm = argv[++index] || "";
+    else if (arg.startsWith("--algorithm=")) out.algorithm = arg.slice("--algorithm=".length);
+    else if (!out.password) out.password = arg;
+  }
+  return out;
+}
+
+async function makeVerifier(algorithm, secret) {
+  const salt = randomBytes(16);
+
+  if (algorithm === "scrypt") {
+    const { N, r, p } = SCRYPT_COST;
+    const digest = scryptSync(secret, salt, 32, { N, r, p, maxmem: 256 * N * r });
+    return ["scrypt", N, r, p, salt.toString("base64"), digest.toString("base64")].join("$");
+  }
+
+  if (algorithm === "argon2id") {
+    // Node has no built-in Argon2, so use the same WASM build the browser loads.
+    const { argon2id } = createRequire(import.meta.url)("../vendor/hash-wasm/argon2.umd.min.js");
+    return argon2id({ password: secret, salt, hashLength: 32, outputType: "encoded", ...ARGON2ID_COST });
+  }
+
+  const digest = pbkdf2Sync(secret, salt, ITERATIONS, 32, "sha256");
+  return [
+    "pbkdf2-sha256",
+    ITERATIONS,
+    salt.toString("base64"),
+    digest.toString("base64")
+  ].join("$");
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!ALGORITHMS.includes(args.algorithm)) {
+  console.error(`Unknown --algorithm "${args.algorithm}". Choose one of: ${ALGORITHMS.join(", ")}.`);
+  process.exit(1);
+}
+
+let password = args.password;
 if (!password) {
   password = await readHidden("Password (input hidden): ");
   const confirmation = await readHidden("Confirm password: ");
@@ -59,13 +105,20 @@ if (!password) {
   process.exit(1);
 }
 
-const salt = randomBytes(16);
-const digest = pbkdf2Sync(password, salt, ITERATIONS, 32, "sha256");
-const verifier = [
-  "pbkdf2-sha256",
+const verifier = await makeVerifier(args.algorithm, password);
+
+// The data key stays PBKDF2 because the browser derives it with WebCrypto. It uses
+// its own salt so the published verifier never doubles as the decryption key.
+const dataSalt = randomBytes(16);
+const dataKey = [
+  "aes256gcm-pbkdf2-sha256",
   ITERATIONS,
-  salt.toString("base64"),
-  digest.toString("base64")
+  dataSalt.toString("base64"),
+  pbkdf2Sync(password, dataSalt, ITERATIONS, 32, "sha256").toString("base64")
 ].join("$");
 
+// Labels go to stderr so each stdout line is a bare value that can be pasted straight into its secret.
+console.error("VAULT_PASSWORD_HASH:");
 console.log(verifier);
+console.error("VAULT_DATA_KEY:");
+console.log(dataKey);
@@ -0,0 +1,20 @@
+// Loads app.js into a bare VM context so its pure helpers can run in Node: the tests use it, and
+// build-manifest.mjs uses it to work out roster AC and HP with the sheet's own formulas.
+// Everything from the "events" block on (listeners and the initial load) is left out, and the
+// document answers every lookup with null, so nothing touches the network or a real DOM.
+// A test can pass its own `document` (and `history`) to drive the sheet's DOM code.
+import fs from "node:fs";
+import vm from "node:vm";
+
+const source = fs.readFileSync(new URL("../app.js", import.meta.url), "utf8");
+const EVENTS_MARKER = "// ----------------------------\n// events";
+
+export function loadApp(globals = {}) {
+  const cut = source.indexOf(EVENTS_MARKER);
+  if (cut === -1) throw new Error("app.js no longer has an events block to stop at.");
+  const document = globals.document || { querySelector: () => null, querySelectorAll: () => [], getElementById: () => null };
+  const window = { location: new URL("https://vault.example/index.html"), document };
+  const context = vm.createContext({ console, URL, URLSearchParams, TextDecoder, TextEncoder, crypto, setTimeout, clearTimeout, ...globals, window, document });
+  vm.runInContext(source.slice(0, cut), context, { filename: "app.js" });
+  return context;
+}